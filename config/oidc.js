@@ -0,0 +1,50 @@
+// OpenID Connect single sign-on (see utils/oidc.js). SSO is enabled when
+// OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_REDIRECT_URI are set.
+//
+// Role mapping: OIDC_ROLE_MAP is JSON mapping values of the OIDC_ROLE_CLAIM claim
+// to TTLS roles, e.g. {"faculty":"teacher","students":"student"}.
+
+const parseRoleMap = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.error('OIDC_ROLE_MAP is not valid JSON; role mapping is disabled');
+    return {};
+  }
+};
+
+const oidcConfig = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  // <this server>/api/auth/oidc/callback, registered with the provider. Required: it is
+  // never worked out from the request's Host header.
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'School account',
+  // Frontend page that receives ?code= (or ?error=) after the provider redirects back
+  clientCallbackPath: process.env.OIDC_CLIENT_CALLBACK_PATH || '/oidc/callback',
+
+  // Claims used to find the TTLS account
+  emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+  idNumberClaim: process.env.OIDC_ID_NUMBER_CLAIM || 'preferred_username',
+  // The ID number claim is only used for new accounts unless this is set. Turn it on
+  // only for a claim users cannot change themselves (many providers let them edit
+  // preferred_username), or anyone could sign in to the account with that ID number.
+  linkByIdNumber: process.env.OIDC_LINK_BY_ID_NUMBER === 'true',
+
+  // Create unknown users in 'pending' status (an admin still has to approve them)
+  autoProvision: process.env.OIDC_AUTO_PROVISION === 'true',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+  roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'student',
+};
+
+if (oidcConfig.issuer && oidcConfig.clientId && !oidcConfig.redirectUri) {
+  console.error('OIDC_REDIRECT_URI is not set; single sign-on is disabled');
+}
+
+const isOidcEnabled = () => !!(oidcConfig.issuer && oidcConfig.clientId && oidcConfig.redirectUri);
+
+module.exports = { oidcConfig, isOidcEnabled };
@@ -0,0 +1,110 @@
+// Named permissions checked by requirePermission() (middleware/auth.js).
+// Roles are lists of these names; '*' grants everything and 'lesson:*' grants every
+// lesson permission. Add new permissions here so they show up in GET /api/roles/permissions.
+const PERMISSIONS = {
+  'user:view': 'View user accounts',
+  'user:manage': 'Create, edit, approve, suspend, import and delete users',
+  'user:invite': 'Create and revoke invitation codes',
+  'user:security': 'View login history and clear login lockouts',
+  'user:impersonate': 'View the app as another user (read-only)',
+  'user:impersonate-write': 'Make changes while impersonating (with user:impersonate)',
+  'role:manage': 'Create and edit roles and assign them to users',
+  'apikey:manage': 'Create and revoke API keys for integrations',
+  'settings:manage': 'Change system settings',
+  'report:manage': 'Review and resolve reports',
+  'audit:view': 'View and export the audit log',
+  'term:manage': 'Create, open and close academic terms',
+
+  'lesson:create': 'Create lessons',
+  'lesson:edit': 'Edit own lessons',
+  'lesson:delete': 'Delete own lessons',
+  'module:create': 'Create modules',
+  'module:edit': 'Edit own modules',
+  'module:delete': 'Delete own modules',
+  'activity:create': 'Create activities',
+  'activity:edit': 'Edit own activities',
+  'activity:delete': 'Delete own activities',
+  'assignment:create': 'Create assignments',
+  'assignment:edit': 'Edit own assignments',
+  'assignment:delete': 'Delete own assignments',
+  'folder:create': 'Create folders',
+  'section:manage': 'Create sections (classes) and manage the ones you teach',
+  'section:manage-any': 'Manage sections taught by other users',
+  // Extends the edit/delete permissions above to content created by others
+  'content:manage-any': 'Edit and delete content created by other users',
+
+  'submission:submit': 'Submit activities',
+  'submission:view': 'View submissions',
+  'submission:grade': 'Grade submissions',
+  'submission:delete': 'Delete submissions',
+  'grade:override': 'Save manual grade overrides',
+
+  'analytics:view': 'View analytics for own lessons',
+  'analytics:view-any': 'View analytics for lessons created by others',
+  'progress:view-others': "View and sync other users' progress",
+  'dashboard:teacher': 'Teacher dashboard statistics',
+  'dashboard:student': 'Student dashboard statistics',
+  'comment:moderate': "Delete other users' comments",
+
+  'guardian:view': 'Follow linked students: lesson completion, grades, due dates and teacher messages',
+};
+
+const TEACHER_PERMISSIONS = [
+  'lesson:*',
+  'module:*',
+  'activity:*',
+  'assignment:*',
+  'folder:create',
+  'section:manage',
+  'submission:view',
+  'submission:grade',
+  'submission:delete',
+  'grade:override',
+  'analytics:view',
+  'progress:view-others',
+  'dashboard:teacher',
+];
+
+// Built-in roles, one per User.role value. They are created in the database on
+// first use and their permissions can then be changed (except admin's).
+const SYSTEM_ROLES = {
+  student: {
+    description: 'Students',
+    permissions: ['submission:submit', 'dashboard:student'],
+  },
+  teacher: {
+    description: 'Teachers',
+    permissions: TEACHER_PERMISSIONS,
+  },
+  guardian: {
+    description: 'Parents and guardians',
+    permissions: ['guardian:view'],
+  },
+  admin: {
+    description: 'Administrators (all permissions)',
+    permissions: ['*'],
+  },
+};
+
+// Whether a permission list grants `permission` (supports '*' and 'prefix:*')
+const hasPermission = (granted, permission) => {
+  if (!granted || !granted.length) return false;
+  if (granted.includes('*') || granted.includes(permission)) return true;
+  const [prefix] = permission.split(':');
+  return granted.includes(`${prefix}:*`);
+};
+
+// Permissions an API key can never hold, so a leaked key can't escalate
+const API_KEY_FORBIDDEN_PERMISSIONS = ['role:manage', 'apikey:manage', 'user:impersonate', 'user:impersonate-write'];
+
+// Names in a list that are neither known permissions nor valid wildcards
+const unknownPermissions = (list) => {
+  const prefixes = new Set(Object.keys(PERMISSIONS).map((p) => p.split(':')[0]));
+  return list.filter((p) => {
+    if (p === '*' || PERMISSIONS[p]) return false;
+    const match = /^([a-z]+):\*$/.exec(p);
+    return !(match && prefixes.has(match[1]));
+  });
+};
+
+module.exports = { PERMISSIONS, SYSTEM_ROLES, API_KEY_FORBIDDEN_PERMISSIONS, hasPermission, unknownPermissions };
@@ -1,5 +1,76 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const ApiKey = require('../models/ApiKey');
+const { suspensionResponse, reinstateIfExpired } = require('../utils/userStatus');
+const { resolvePermissions } = require('../utils/permissions');
+const { hasPermission } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Check an impersonation token (see generateImpersonationToken). Returns
+// { impersonation, actor } or { status, message } when it must be rejected.
+const checkImpersonation = async (decoded, req) => {
+  const expired = { status: 401, message: 'Impersonation session has ended' };
+
+  const impersonation = await Impersonation.findById(decoded.imp);
+  if (!impersonation || !impersonation.isActive()
+    || impersonation.admin.toString() !== decoded.act
+    || impersonation.target.toString() !== decoded.id) {
+    return expired;
+  }
+
+  // The admin must still be allowed to impersonate
+  const actor = await User.findById(decoded.act);
+  if (!actor || actor.status !== 'approved') return expired;
+  const { permissions } = await resolvePermissions(actor);
+  if (!hasPermission(permissions, 'user:impersonate')) return expired;
+
+  const blocked = impersonation.readOnly && !READ_METHODS.includes(req.method);
+  await Impersonation.updateOne(
+    { _id: impersonation._id },
+    { $inc: blocked ? { blockedCount: 1 } : { requestCount: 1 }, lastUsedAt: new Date() }
+  );
+  if (blocked) {
+    return { status: 403, message: 'This impersonation session is read-only' };
+  }
+
+  return { impersonation, actor: { id: actor._id.toString(), role: actor.role } };
+};
+
+// Authenticate a service integration by its X-API-Key header. Keys act under their
+// own permissions rather than as a user, and can only read.
+const protectApiKey = async (req, res, next, rawKey) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(String(rawKey)) });
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired API key' });
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip, $inc: { usageCount: 1 } }
+    );
+
+    if (!READ_METHODS.includes(req.method)) {
+      return res.status(403).json({ success: false, message: 'API keys can only read data' });
+    }
+
+    req.apiKey = apiKey;
+    req.user = { id: apiKey._id.toString(), role: 'api-key' };
+    req.actor = req.user;
+    req.permissions = apiKey.permissions;
+    req.permissionScope = { department: null };
+    req.can = (permission) => hasPermission(apiKey.permissions, permission);
+
+    next();
+  } catch (error) {
+    console.error('auth.protectApiKey failed:', error && error.message);
+    return res.status(401).json({ success: false, message: 'Invalid or expired API key' });
+  }
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -8,6 +79,10 @@ const protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
 
+  if (!token && req.headers['x-api-key']) {
+    return protectApiKey(req, res, next, req.headers['x-api-key']);
+  }
+
   if (!token) {
     return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
   }
@@ -15,14 +90,52 @@ const protect = async (req, res, next) => {
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session; revoked or expired sessions are rejected
+    if (!decoded.sid) {
+      return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+    }
+    // Impersonation tokens ride on the admin's session rather than the target's
+    const sessionOwner = decoded.imp ? decoded.act : decoded.id;
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== sessionOwner) {
+      return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+    }
+
+    // req.user is who the request acts as; req.actor is the person actually making it
     req.user = decoded;
+    req.actor = { id: decoded.id, role: decoded.role };
+    if (decoded.imp) {
+      const result = await checkImpersonation(decoded, req);
+      if (result.status) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+      req.impersonation = result.impersonation;
+      req.actor = result.actor;
+    }
 
-    // Check if user is suspended
+    // Deleted and deactivated accounts are signed out
     const user = await User.findById(req.user.id);
-    if (user && user.status === 'suspended') {
-      return res.status(403).json({ success: false, message: 'Your account has been suspended. Please contact admin.' });
+    if (!user || user.status === 'deactivated') {
+      return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
     }
 
+    // Check if user is suspended (lifting it on the spot if the end date has passed)
+    if (user.status === 'suspended' && !(await reinstateIfExpired(user))) {
+      return res.status(403).json(suspensionResponse(user));
+    }
+
+    // Reject tokens issued before the last password change (e.g. after a reset)
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ success: false, message: 'Password was changed recently. Please log in again.' });
+    }
+
+    // Permissions come from the user's current role, not the token, so role edits apply immediately
+    const { permissions, department } = await resolvePermissions(user);
+    req.permissions = permissions;
+    req.permissionScope = { department };
+    req.can = (permission) => hasPermission(permissions, permission);
+
     next();
   } catch (error) {
     console.warn('auth.protect: JWT verify failed or other error:', error && error.message, 'token present:', !!token);
@@ -39,4 +152,23 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+// Require every listed permission (use after protect)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.can || !permissions.every((permission) => req.can(permission))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to access this route' });
+    }
+    next();
+  };
+};
+
+// Refuse the route for impersonation tokens, even writable ones (use after protect).
+// For things only the real user may do: submitting work, messaging, account security.
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({ success: false, message: 'Not available while viewing as another user' });
+  }
+  next();
+};
+
+module.exports = { protect, authorize, requirePermission, denyImpersonation };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const termScoped = require('./termScoped');
 
 const SubmissionSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -34,4 +35,6 @@ const ActivitySchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+ActivitySchema.plugin(termScoped);
+
 module.exports = mongoose.model('Activity', ActivitySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A key for a service integration, sent in the X-API-Key header (see middleware/auth.js).
+// Only a SHA-256 hash of the key is stored; the key itself is shown once at creation.
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    // First characters of the key, so admins can tell keys apart
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true, select: false },
+    permissions: { type: [String], default: [] },
+    expiresAt: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    usageCount: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ApiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+ApiKeySchema.methods.getStatus = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const QuizQuestionSchema = require('./QuizQuestion');
+const termScoped = require('./termScoped');
+const publishable = require('./publishable');
 
 const AssignmentSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -22,6 +24,12 @@ const AssignmentSchema = new mongoose.Schema({
   totalPoints: { type: Number, default: 0 }, // Total points for the quiz
   allowAutomaticGrading: { type: Boolean, default: true }, // Whether to auto-grade (except essays)
   allowResubmission: { type: Boolean, default: false }, // Whether students can resubmit after submission
+  sections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Section' }], // Sections (classes) it is assigned to; empty means every student
 });
 
+AssignmentSchema.index({ sections: 1 });
+
+AssignmentSchema.plugin(termScoped);
+AssignmentSchema.plugin(publishable);
+
 module.exports = mongoose.model('Assignment', AssignmentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Record of an administrative or grading action, written by utils/audit.js.
+// Entries are append-only: updates and deletes are refused below.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Who did it. When an admin is impersonating, actor is the admin and
+    // onBehalfOf is the user they were acting as.
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String },
+    onBehalfOf: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // e.g. 'user.approve', 'submission.grade', 'lesson.delete'
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: String },
+    // Human readable name of the target, kept in case it is deleted later
+    targetLabel: { type: String },
+    changes: [
+      {
+        _id: false,
+        field: { type: String },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  appendOnly
+);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A personal data export (ZIP) built in the background by utils/dataExport.js.
+// The archive lives in exports/ and is downloaded with a one-off token.
+const DataExportSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'ready', 'failed', 'expired'],
+      default: 'queued',
+    },
+    filePath: { type: String, select: false },
+    fileSize: { type: Number },
+    downloadTokenHash: { type: String, select: false },
+    downloadCount: { type: Number, default: 0 },
+    error: { type: String },
+    completedAt: { type: Date },
+    // The archive is deleted once this passes
+    expiresAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
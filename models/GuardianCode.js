@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use code a student gives to a guardian to link their accounts without
+// waiting for an admin. A student has at most one code at a time.
+const GuardianCodeSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove expired codes
+GuardianCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GuardianCode', GuardianCodeSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A guardian (parent) following a student. Links are requested by the guardian and
+// approved by an admin, or approved straight away with a code from the student
+// (models/GuardianCode.js).
+const GuardianLinkSchema = new mongoose.Schema(
+  {
+    guardian: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'revoked'],
+      default: 'pending',
+    },
+    method: { type: String, enum: ['request', 'code'], required: true },
+    relationship: { type: String, trim: true },
+    // Message from the guardian for the reviewing admin
+    note: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+GuardianLinkSchema.index({ guardian: 1, student: 1 }, { unique: true });
+GuardianLinkSchema.index({ student: 1, status: 1 });
+GuardianLinkSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GuardianLink', GuardianLinkSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// An admin viewing the app as another user. The impersonation token (utils/tokens.js)
+// carries this record's id, so ending or expiring the record cuts the token off.
+const ImpersonationSchema = new mongoose.Schema(
+  {
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The admin's own session; logging out of it ends the impersonation as well
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+    reason: { type: String, trim: true },
+    readOnly: { type: Boolean, default: true },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Requests made with the token, and requests refused because the session was read-only
+    requestCount: { type: Number, default: 0 },
+    blockedCount: { type: Number, default: 0 },
+    lastUsedAt: { type: Date },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ImpersonationSchema.index({ admin: 1, startedAt: -1 });
+ImpersonationSchema.index({ target: 1, startedAt: -1 });
+
+ImpersonationSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Impersonation', ImpersonationSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invite codes generated by admins. Teacher and admin signups must present one;
+// the code fixes the role (and optionally the department) of the new account.
+const InvitationSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    role: {
+      type: String,
+      enum: ['student', 'teacher', 'admin', 'guardian'],
+      required: true,
+    },
+    department: { type: String },
+    maxUses: { type: Number, default: 1, min: 1 },
+    uses: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    // Invited users skip the pending approval step unless this is turned off
+    autoApprove: { type: Boolean, default: true },
+    note: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date, default: null },
+    redemptions: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+InvitationSchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Readable code without ambiguous characters (0/O, 1/I)
+InvitationSchema.statics.generateCode = function (length = 10) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length];
+  }
+  return code;
+};
+
+InvitationSchema.methods.getStatus = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.uses >= this.maxUses) return 'used';
+  return 'active';
+};
+
+// Filter matching invitations that can still be redeemed
+const redeemableFilter = (code) => ({
+  code: String(code || '').trim().toUpperCase(),
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+  $expr: { $lt: ['$uses', '$maxUses'] },
+});
+
+InvitationSchema.statics.findRedeemable = function (code) {
+  return this.findOne(redeemableFilter(code));
+};
+
+// Atomically take one use of the code. Returns the invitation, or null when the
+// code is unknown, expired, revoked or used up (including by a concurrent signup).
+InvitationSchema.statics.claim = function (code) {
+  return this.findOneAndUpdate(redeemableFilter(code), { $inc: { uses: 1 } }, { new: true });
+};
+
+// Give back a use taken by claim() when the signup did not go through
+InvitationSchema.statics.release = function (invitationId) {
+  return this.updateOne({ _id: invitationId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+InvitationSchema.statics.recordRedemption = function (invitationId, userId) {
+  return this.updateOne({ _id: invitationId }, { $push: { redemptions: { user: userId, at: new Date() } } });
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
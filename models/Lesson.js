@@ -1,5 +1,7 @@
 // models/Lesson.js
 const mongoose = require('mongoose');
+const termScoped = require('./termScoped');
+const publishable = require('./publishable');
 
 const FileSchema = new mongoose.Schema(
   {
@@ -84,11 +86,18 @@ const LessonSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Sections (classes) this lesson is assigned to; empty means every student
+    sections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Section' }],
   },
   {
     timestamps: true,
   }
 );
 
+LessonSchema.index({ sections: 1 });
+
+LessonSchema.plugin(termScoped);
+LessonSchema.plugin(publishable);
+
 // IMPORTANT: export the Mongoose model, not a router
 module.exports = mongoose.model('Lesson', LessonSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One save of a lesson: who made it, which fields changed, and the lesson's content
+// before and after (see utils/lessonRevisions.js for the fields kept). Restoring a
+// revision is itself a save, so the version it replaces stays in the history.
+const LessonRevisionSchema = new mongoose.Schema(
+  {
+    lesson: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson', required: true },
+    // 1, 2, 3... per lesson
+    number: { type: Number, required: true },
+    action: { type: String, enum: ['update', 'file-delete', 'restore'], default: 'update' },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedFields: [{ type: String }],
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // For action 'restore': the revision that was restored, and which side of it
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'LessonRevision' },
+    restoredState: { type: String, enum: ['before', 'after'] },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+LessonRevisionSchema.index({ lesson: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('LessonRevision', LessonRevisionSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking per client IP address.
+// Per-account tracking lives on the User document (failedLoginAttempts, lockUntil).
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    ip: { type: String, required: true, unique: true },
+    failedAttempts: { type: Number, default: 0 },
+    lockCount: { type: Number, default: 0 },
+    lockUntil: { type: Date, default: null },
+    lastFailedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LoginThrottleSchema.index({ lockUntil: 1 });
+// Forget IPs that have been quiet for a day
+LoginThrottleSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -1,5 +1,7 @@
 // models/Module.js
 const mongoose = require('mongoose');
+const termScoped = require('./termScoped');
+const publishable = require('./publishable');
 
 const ModuleSchema = new mongoose.Schema(
   {
@@ -39,6 +41,8 @@ const ModuleSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Sections (classes) this module is assigned to; empty means every student
+    sections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Section' }],
   },
   {
     timestamps: true,
@@ -48,6 +52,10 @@ const ModuleSchema = new mongoose.Schema(
 // Index for efficient queries
 ModuleSchema.index({ category: 1, moduleNumber: 1 });
 ModuleSchema.index({ createdBy: 1 });
+ModuleSchema.index({ sections: 1 });
+
+ModuleSchema.plugin(termScoped);
+ModuleSchema.plugin(publishable);
 
 module.exports = mongoose.model('Module', ModuleSchema);
 
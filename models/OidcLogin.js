@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An OpenID Connect sign-in in progress (see utils/oidc.js).
+// Created when the browser is sent to the provider; the callback finds it by
+// `state`, then hands the client a one-time login code to exchange for tokens.
+const OidcLoginSchema = new mongoose.Schema(
+  {
+    state: { type: String, required: true, unique: true },
+    nonce: { type: String, required: true },
+    codeVerifier: { type: String, required: true, select: false },
+    // Client path to return to after signing in
+    returnTo: { type: String },
+    callbackAt: { type: Date, default: null },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    loginCodeHash: { type: String, select: false },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OidcLoginSchema.index({ loginCodeHash: 1 });
+// Let MongoDB remove abandoned sign-ins
+OidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLogin', OidcLoginSchema);
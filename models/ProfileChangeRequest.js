@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Profile fields a user can't change on their own (name, ID number, and department,
+// which also scopes department-scoped roles). The user submits a request and an admin
+// approves or rejects it.
+const ProfileChangeRequestSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    changes: {
+      firstName: { type: String },
+      lastName: { type: String },
+      idNumber: { type: String, trim: true },
+      department: { type: String, trim: true },
+    },
+    // Values at the time of the request, for the reviewer
+    previous: {
+      firstName: { type: String },
+      lastName: { type: String },
+      idNumber: { type: String },
+      department: { type: String },
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ProfileChangeRequestSchema.index({ user: 1, status: 1 });
+ProfileChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProfileChangeRequest', ProfileChangeRequestSchema);
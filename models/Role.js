@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions (see config/permissions.js).
+// System roles mirror User.role (student, teacher, admin). Custom roles, such as
+// a teaching assistant or a department head, are assigned through User.customRole
+// and replace the permissions of the user's base role.
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, 'Role name may only contain letters, numbers and dashes'],
+    },
+    description: { type: String },
+    permissions: { type: [String], default: [] },
+    // Limit the "-any" permissions (content:manage-any, analytics:view-any) to
+    // content created by users in the same department as the role holder
+    departmentScoped: { type: Boolean, default: false },
+    isSystem: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const termScoped = require('./termScoped');
+
+// A class: a teacher of record, optional co-teachers and the enrolled students.
+// Lessons, modules and assignments list the sections they are assigned to
+// (see utils/sections.js); content with no sections is open to every student.
+const SectionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '' },
+    department: { type: String, trim: true },
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    coTeachers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Students who redeemed a join code that needs approval
+    joinRequests: [
+      {
+        _id: false,
+        student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        joinCode: { type: mongoose.Schema.Types.ObjectId, ref: 'SectionJoinCode' },
+        requestedAt: { type: Date, default: Date.now },
+      },
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Archived sections keep their history but no longer grant access to content
+    archivedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SectionSchema.index({ teacher: 1 });
+SectionSchema.index({ coTeachers: 1 });
+SectionSchema.index({ students: 1 });
+SectionSchema.index({ 'joinRequests.student': 1 });
+
+// Member lists may be populated, and populated entries are null for deleted users
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// Teacher of record or co-teacher
+SectionSchema.methods.isStaff = function (userId) {
+  const id = String(userId);
+  return idOf(this.teacher) === id || this.coTeachers.some((t) => idOf(t) === id);
+};
+
+SectionSchema.methods.hasStudent = function (userId) {
+  const id = String(userId);
+  return this.students.some((s) => idOf(s) === id);
+};
+
+SectionSchema.methods.hasJoinRequest = function (userId) {
+  const id = String(userId);
+  return this.joinRequests.some((r) => idOf(r.student) === id);
+};
+
+SectionSchema.plugin(termScoped);
+
+module.exports = mongoose.model('Section', SectionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Codes a teacher hands out so students can join a section themselves
+// (POST /api/sections/join). Codes use the same alphabet as invitations.
+const SectionJoinCodeSchema = new mongoose.Schema(
+  {
+    section: { type: mongoose.Schema.Types.ObjectId, ref: 'Section', required: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    // null means unlimited
+    maxUses: { type: Number, default: null, min: 1 },
+    uses: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    // Students who redeem the code wait for a teacher to approve them
+    requireApproval: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SectionJoinCodeSchema.index({ section: 1 });
+
+SectionJoinCodeSchema.methods.getStatus = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses !== null && this.uses >= this.maxUses) return 'used';
+  return 'active';
+};
+
+// Atomically take one use of the code. Returns the join code, or null when it is
+// unknown, expired, revoked or used up.
+SectionJoinCodeSchema.statics.claim = function (code) {
+  return this.findOneAndUpdate(
+    {
+      code: String(code || '').trim().toUpperCase(),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a use taken by claim() when the join did not go through
+SectionJoinCodeSchema.statics.release = function (joinCodeId) {
+  return this.updateOne({ _id: joinCodeId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+module.exports = mongoose.model('SectionJoinCode', SectionJoinCodeSchema);
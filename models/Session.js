@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A login session. Each session holds one rotating refresh token (stored hashed);
+// access tokens carry the session id so revoking the session cuts them off too.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true, select: false },
+    // Hashes of refresh tokens already rotated out, used to detect token reuse
+    previousTokenHashes: { type: [String], default: [], select: false },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    userAgent: { type: String },
+    ip: { type: String },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousTokenHashes: 1 });
+// Let MongoDB clean up sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session for a user (logout everywhere, suspension, password change...)
+SessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -13,6 +13,12 @@ const SettingsSchema = new mongoose.Schema(
       type: String,
       default: 'Based on early user feedback and ratings',
       description: 'Note about satisfaction rate for display on home page'
+    },
+    twoFactorRequiredRoles: {
+      type: [String],
+      enum: ['student', 'teacher', 'admin', 'guardian'],
+      default: [],
+      description: 'Roles that must enroll in two-factor authentication before logging in'
     }
   },
   {
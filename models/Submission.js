@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const termScoped = require('./termScoped');
 
 const AnswerSchema = new mongoose.Schema({
   questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
@@ -53,4 +54,6 @@ const SubmissionSchema = new mongoose.Schema({
   ],
 });
 
+SubmissionSchema.plugin(termScoped);
+
 module.exports = mongoose.model('Submission', SubmissionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// An academic term (school year or semester). New content and submissions are stamped
+// with the active term (see models/termScoped.js). Closing a term makes its data
+// read-only and hides it from default listings (see utils/terms.js).
+const TermSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    status: { type: String, enum: ['upcoming', 'active', 'closed'], default: 'upcoming' },
+    activatedAt: { type: Date },
+    activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one active term
+TermSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('Term', TermSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Session = require('./Session');
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,14 +32,68 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['student', 'teacher', 'admin'],
+      enum: ['student', 'teacher', 'admin', 'guardian'],
       required: true,
     },
+    // Optional custom role (models/Role.js) that replaces the permissions of `role`
+    customRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+      default: null,
+    },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'suspended'],
+      enum: ['pending', 'approved', 'rejected', 'suspended', 'deactivated'],
       default: 'pending',
     },
+    // Set when an admin deactivates or anonymizes the account (see utils/userDeletion.js)
+    deactivatedAt: {
+      type: Date,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    anonymizedAt: {
+      type: Date,
+    },
+    // Details of the current suspension while status is 'suspended'
+    suspension: {
+      reason: String,
+      endsAt: Date, // null/unset means until an admin lifts it
+      issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      issuedAt: Date,
+    },
+    // Past and current suspensions, oldest first
+    suspensionHistory: {
+      type: [
+        {
+          reason: String,
+          startedAt: Date,
+          endsAt: Date,
+          issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          endedAt: { type: Date, default: null },
+          endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          // 'lifted' by an admin or 'expired' when endsAt passed
+          endReason: { type: String, enum: ['lifted', 'expired'] },
+        },
+      ],
+      select: false,
+    },
+    // Status changes made by admins, oldest first (see utils/userStatus.js)
+    statusHistory: {
+      type: [
+        {
+          _id: false,
+          from: String,
+          to: String,
+          reason: String,
+          changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
     dateOfBirth: {
       type: Date,
     },
@@ -57,6 +113,103 @@ const userSchema = new mongoose.Schema(
       type: String,
       maxlength: 150,
     },
+    // Email verification (token is stored hashed, raw token is only emailed)
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    // Password reset (token is stored hashed, raw token is only emailed)
+    resetPasswordToken: {
+      type: String,
+      select: false,
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Set for accounts created with a generated temporary password (roster import)
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // Identity at the single sign-on provider, linked on first SSO login (see utils/oidc.js)
+    oidcIssuer: {
+      type: String,
+    },
+    oidcSubject: {
+      type: String,
+    },
+    // Login throttling (see utils/loginThrottle.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+    // Most recent login attempts, newest last (capped)
+    loginHistory: {
+      type: [
+        {
+          _id: false,
+          at: { type: Date, default: Date.now },
+          ip: String,
+          userAgent: String,
+          success: Boolean,
+          reason: String,
+        },
+      ],
+      select: false,
+    },
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during enrollment, promoted to twoFactorSecret once a code is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code can't be replayed
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -71,14 +224,38 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// One TTLS account per provider identity
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
+// Admin user listing filters on these and sorts newest first
+userSchema.index({ status: 1, createdAt: -1 });
+userSchema.index({ role: 1, status: 1, createdAt: -1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record when an existing user's password changed so older tokens can be rejected
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+    this.$locals.passwordChanged = true;
+  }
+});
+
+// A password change signs the user out of every device
+userSchema.post('save', async function (doc) {
+  if (doc.$locals.passwordChanged) {
+    doc.$locals.passwordChanged = false;
+    await Session.revokeAllForUser(doc._id, 'password-changed');
+  }
 });
 
 // Method to compare passwords
@@ -86,4 +263,55 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether the password was changed after a JWT was issued (iat is in seconds)
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a password reset token; the hashed value is stored on the user
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  // Token valid for 30 minutes
+  this.resetPasswordExpire = new Date(Date.now() + 30 * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate an email verification token; the hashed value is stored on the user
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  // Token valid for 24 hours
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Generate a fresh set of single-use recovery codes; only hashes are stored
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactorRecoveryCodes = codes.map((code) => crypto.createHash('sha256').update(code).digest('hex'));
+
+  return codes;
+};
+
+// Consume a recovery code (requires twoFactorRecoveryCodes to be selected)
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashed = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (!codes.includes(hashed)) return false;
+
+  this.twoFactorRecoveryCodes = codes.filter((c) => c !== hashed);
+  return true;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,20 @@
+// Schema plugin for content students only see once it is released: a draft/published
+// status, an optional "publish at" time and an optional "available until" time.
+// Documents created before this existed have no status and count as published.
+// The student-facing filter is in utils/publishing.js.
+module.exports = function publishable(schema) {
+  schema.add({
+    status: { type: String, enum: ['draft', 'published'], default: 'published' },
+    publishAt: { type: Date, default: null },
+    availableUntil: { type: Date, default: null },
+  });
+  schema.index({ status: 1, publishAt: 1, availableUntil: 1 });
+
+  // Where the document is in its release: draft, scheduled, available or expired
+  schema.methods.releaseState = function (now = new Date()) {
+    if (this.status === 'draft') return 'draft';
+    if (this.publishAt && this.publishAt > now) return 'scheduled';
+    if (this.availableUntil && this.availableUntil <= now) return 'expired';
+    return 'available';
+  };
+};
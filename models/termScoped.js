@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const Term = require('./Term');
+
+// Schema plugin for data that belongs to an academic term: adds `term` and stamps
+// new documents with the active term (left null when no term is active).
+module.exports = function termScoped(schema) {
+  schema.add({ term: { type: mongoose.Schema.Types.ObjectId, ref: 'Term', default: null } });
+  schema.index({ term: 1 });
+
+  schema.pre('save', async function () {
+    if (!this.isNew || this.term) return;
+    const active = await Term.findOne({ status: 'active' }).select('_id');
+    if (active) this.term = active._id;
+  });
+};
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Activity = require('../models/Activity');
 const Lesson = require('../models/Lesson');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { canActOn } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { rejectIfTermClosed, termFilter } = require('../utils/terms');
+const { contentVisibility } = require('../utils/sections');
 const multer = require('multer');
 const { storage, cloudinary } = require('../config/cloudinary');
 
@@ -69,7 +73,7 @@ function chooseDownloadFilename(storedFilename, fallbackTitle, mime) {
 }
 
 // Create activity (teacher/admin)
-router.post('/', protect, authorize('teacher', 'admin'), upload.array('files', 6), async (req, res) => {
+router.post('/', protect, requirePermission('activity:create'), upload.array('files', 6), async (req, res) => {
   try {
     const { title, description, lessonId, dueDate } = req.body;
 
@@ -90,10 +94,15 @@ router.post('/', protect, authorize('teacher', 'admin'), upload.array('files', 6
   }
 });
 
-// List activities
+// List activities (?term=<id>|active|all, closed terms are left out by default).
+// Students do not get activities attached to lessons they cannot see.
 router.get('/', protect, async (req, res) => {
   try {
-    const activities = await Activity.find().populate('createdBy', 'firstName lastName idNumber');
+    const terms = await termFilter(req.query.term);
+    if (terms.error) return res.status(400).json({ success: false, message: terms.error });
+    const visibility = await contentVisibility(req);
+    const activities = await Activity.find({ ...terms.filter, ...(visibility && visibility.activities) })
+      .populate('createdBy', 'firstName lastName idNumber');
     res.json({ success: true, data: activities });
   } catch (err) {
     console.error(err);
@@ -104,7 +113,9 @@ router.get('/', protect, async (req, res) => {
 // Get activity
 router.get('/:id', protect, async (req, res) => {
   try {
-    const activity = await Activity.findById(req.params.id).populate('createdBy', 'firstName lastName idNumber');
+    const visibility = await contentVisibility(req);
+    const activity = await Activity.findOne({ _id: req.params.id, ...(visibility && visibility.activities) })
+      .populate('createdBy', 'firstName lastName idNumber');
     if (!activity) return res.status(404).json({ success: false, message: 'Activity not found' });
     res.json({ success: true, data: activity });
   } catch (err) {
@@ -114,10 +125,11 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Student submit to activity
-router.post('/:id/submit', protect, authorize('student'), upload.array('files', 6), async (req, res) => {
+router.post('/:id/submit', protect, denyImpersonation, requirePermission('submission:submit'), upload.array('files', 6), async (req, res) => {
   try {
     const activity = await Activity.findById(req.params.id);
     if (!activity) return res.status(404).json({ success: false, message: 'Activity not found' });
+    if (await rejectIfTermClosed(res, activity)) return;
 
     const files = [];
     if (req.files && req.files.length) {
@@ -144,18 +156,25 @@ router.post('/:id/submit', protect, authorize('student'), upload.array('files',
 });
 
 // Grade a submission (teacher/admin)
-router.put('/:activityId/submissions/:submissionId/grade', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.put('/:activityId/submissions/:submissionId/grade', protect, requirePermission('submission:grade'), async (req, res) => {
   try {
     const { grade, feedback } = req.body;
     const activity = await Activity.findById(req.params.activityId);
     if (!activity) return res.status(404).json({ success: false, message: 'Activity not found' });
+    if (await rejectIfTermClosed(res, activity)) return;
 
     const sub = activity.submissions.id(req.params.submissionId);
     if (!sub) return res.status(404).json({ success: false, message: 'Submission not found' });
 
+    const before = snapshot(sub, ['grade', 'feedback']);
     sub.grade = grade;
     sub.feedback = feedback;
     await activity.save();
+    await recordAudit(req, {
+      action: 'activity-submission.grade', targetType: 'ActivitySubmission', targetId: sub._id, targetLabel: activity.title,
+      before, after: snapshot(sub, ['grade', 'feedback']),
+      metadata: { activity: activity._id, student: sub.student },
+    });
 
     res.json({ success: true, message: 'Submission graded', submission: sub });
   } catch (err) {
@@ -165,10 +184,11 @@ router.put('/:activityId/submissions/:submissionId/grade', protect, authorize('t
 });
 
 // Delete a submission (teacher/admin)
-router.delete('/:activityId/submissions/:submissionId', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.delete('/:activityId/submissions/:submissionId', protect, requirePermission('submission:delete'), async (req, res) => {
   try {
     const activity = await Activity.findById(req.params.activityId);
     if (!activity) return res.status(404).json({ success: false, message: 'Activity not found' });
+    if (await rejectIfTermClosed(res, activity)) return;
 
     const sub = activity.submissions.id(req.params.submissionId);
     if (!sub) return res.status(404).json({ success: false, message: 'Submission not found' });
@@ -186,6 +206,11 @@ router.delete('/:activityId/submissions/:submissionId', protect, authorize('teac
 
     activity.submissions.id(req.params.submissionId).deleteOne();
     await activity.save();
+    await recordAudit(req, {
+      action: 'activity-submission.delete', targetType: 'ActivitySubmission', targetId: sub._id, targetLabel: activity.title,
+      before: snapshot(sub, ['grade', 'feedback', 'submittedAt']),
+      metadata: { activity: activity._id, student: sub.student },
+    });
 
     res.json({ success: true, message: 'Submission deleted' });
   } catch (err) {
@@ -200,9 +225,10 @@ router.delete('/:id', protect, async (req, res) => {
     const activity = await Activity.findById(req.params.id);
     if (!activity) return res.status(404).json({ success: false, message: 'Activity not found' });
 
-    if (req.user.role !== 'admin' && activity.createdBy?.toString() !== req.user.id) {
+    if (!req.can('activity:delete') || !(await canActOn(req, 'content:manage-any', activity.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this activity' });
     }
+    if (await rejectIfTermClosed(res, activity)) return;
 
     // delete files
     if (activity.files && activity.files.length) {
@@ -216,6 +242,10 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     await activity.deleteOne();
+    await recordAudit(req, {
+      action: 'activity.delete', targetType: 'Activity', targetId: activity._id, targetLabel: activity.title,
+      metadata: { createdBy: activity.createdBy, submissionsDeleted: (activity.submissions || []).length },
+    });
     res.json({ success: true, message: 'Activity deleted' });
   } catch (err) {
     console.error(err);
@@ -1,7 +1,29 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const Invitation = require('../models/Invitation');
+const DataExport = require('../models/DataExport');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const GuardianLink = require('../models/GuardianLink');
+const { protect, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { PERMISSIONS, API_KEY_FORBIDDEN_PERMISSIONS, hasPermission, unknownPermissions } = require('../config/permissions');
+const { sendEmail, buildClientUrl } = require('../utils/sendEmail');
+const { validateRoster, generateTemporaryPassword } = require('../utils/userImport');
+const { STATUS_ACTIONS, changeUserStatus, sendStatusEmail } = require('../utils/userStatus');
+const { DELETION_MODES, removeUser, resolveReassignTarget } = require('../utils/userDeletion');
+const { requestExport } = require('../utils/dataExport');
+const { resolvePermissions, canActOn, canManageUser } = require('../utils/permissions');
+const { generateImpersonationToken, hashToken } = require('../utils/tokens');
+const { recordAudit, snapshot, userLabel } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
 
 const router = express.Router();
 
@@ -56,16 +78,104 @@ router.post('/init', async (req, res) => {
   }
 });
 
+const USER_LIST_DEFAULT_LIMIT = 50;
+const USER_LIST_MAX_LIMIT = 200;
+const USER_SORT_FIELDS = ['createdAt', 'lastName', 'firstName', 'email', 'idNumber', 'role', 'status', 'department', 'lastLoginAt'];
+const USER_TEXT_SORT_FIELDS = ['lastName', 'firstName', 'email', 'department'];
+const USER_SEARCH_FIELDS = ['firstName', 'lastName', 'email', 'idNumber'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma separated values become $in (e.g. ?role=student,teacher)
+const listFilter = (value) => {
+  const values = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+// Filter, sort and page for the admin user listings. Query:
+//   q            - words to find in name, email or ID number (every word must match)
+//   role, status, department - exact values, comma separated for several
+//   registeredFrom, registeredTo - account creation date range
+//   sort         - a field from USER_SORT_FIELDS, prefixed with '-' for descending (default -createdAt)
+//   page, limit
+const buildUserListQuery = (query) => {
+  const filter = {};
+
+  for (const key of ['role', 'status', 'department']) {
+    if (query[key]) filter[key] = listFilter(query[key]);
+  }
+
+  if (query.emailVerified === 'true') {
+    filter.emailVerified = true;
+  } else if (query.emailVerified === 'false') {
+    filter.emailVerified = { $ne: true };
+  }
+
+  const terms = String(query.q || '').trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  if (terms.length) {
+    filter.$and = terms.map((term) => {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      return { $or: USER_SEARCH_FIELDS.map((field) => ({ [field]: pattern })) };
+    });
+  }
+
+  if (query.registeredFrom || query.registeredTo) {
+    filter.createdAt = {};
+    for (const [key, op] of [['registeredFrom', '$gte'], ['registeredTo', '$lte']]) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+      filter.createdAt[op] = date;
+    }
+  }
+
+  const sortParam = String(query.sort || '-createdAt');
+  const sortField = sortParam.replace(/^-/, '');
+  if (!USER_SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${USER_SORT_FIELDS.join(', ')}` };
+  }
+  // _id breaks ties so pages don't overlap
+  const sort = { [sortField]: sortParam.startsWith('-') ? -1 : 1, _id: 1 };
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || USER_LIST_DEFAULT_LIMIT, 1), USER_LIST_MAX_LIMIT);
+
+  return { filter, sort, page, limit };
+};
+
+const findUserPage = ({ filter, sort, page, limit }) => {
+  const find = User.find(filter).select('-password').sort(sort).skip((page - 1) * limit).limit(limit);
+  // Case-insensitive order for names; other sorts keep the default collation so the indexes apply
+  if (USER_TEXT_SORT_FIELDS.some((field) => field in sort)) find.collation({ locale: 'en', strength: 2 });
+  return Promise.all([find, User.countDocuments(filter)]);
+};
+
 // @route   GET /api/admin/users/pending
-// @desc    Get all pending users
+// @desc    Pending users, paginated. Same query options as GET /users (status is fixed),
+//          plus ?emailVerified=true|false
 // @access  Private/Admin
-router.get('/users/pending', protect, authorize('admin'), async (req, res) => {
+router.get('/users/pending', protect, requirePermission('user:view'), async (req, res) => {
   try {
-    const pendingUsers = await User.find({ status: 'pending' }).select('-password');
+    const listQuery = buildUserListQuery({ ...req.query, status: 'pending' });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const [[pendingUsers, total], verifiedCount, unverifiedCount] = await Promise.all([
+      findUserPage(listQuery),
+      User.countDocuments({ status: 'pending', emailVerified: true }),
+      User.countDocuments({ status: 'pending', emailVerified: { $ne: true } }),
+    ]);
 
     res.status(200).json({
       success: true,
       count: pendingUsers.length,
+      total,
+      page: listQuery.page,
+      limit: listQuery.limit,
+      pages: Math.ceil(total / listQuery.limit),
+      verifiedCount,
+      unverifiedCount,
       users: pendingUsers,
     });
   } catch (error) {
@@ -75,15 +185,25 @@ router.get('/users/pending', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/admin/users
-// @desc    Get all users
+// @desc    Users, paginated. Query: q, role, status, department, emailVerified,
+//          registeredFrom, registeredTo, sort, page, limit (see buildUserListQuery)
 // @access  Private/Admin
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+router.get('/users', protect, requirePermission('user:view'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const listQuery = buildUserListQuery(req.query);
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const [users, total] = await findUserPage(listQuery);
 
     res.status(200).json({
       success: true,
       count: users.length,
+      total,
+      page: listQuery.page,
+      limit: listQuery.limit,
+      pages: Math.ceil(total / listQuery.limit),
       users,
     });
   } catch (error) {
@@ -93,9 +213,9 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id/approve
-// @desc    Approve a user
+// @desc    Approve a pending or rejected user. Body: { reason, notify }
 // @access  Private/Admin
-router.put('/users/:id/approve', protect, authorize('admin'), async (req, res) => {
+router.put('/users/:id/approve', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     let user = await User.findById(req.params.id);
 
@@ -103,8 +223,19 @@ router.put('/users/:id/approve', protect, authorize('admin'), async (req, res) =
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    user.status = 'approved';
-    await user.save();
+    const outcome = await changeUserStatus(user, 'approve', { reason: req.body.reason, changedBy: req.user.id });
+    if (!outcome.changed) {
+      return res.status(400).json({ success: false, message: outcome.message });
+    }
+    await recordAudit(req, {
+      action: 'user.approve', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before: { status: outcome.from }, after: { status: outcome.to },
+      metadata: { reason: req.body.reason },
+    });
+
+    if (req.body.notify) {
+      sendStatusEmail(user, 'approve', req.body.reason).catch((err) => console.error('Failed to send approval email:', err));
+    }
 
     res.status(200).json({
       success: true,
@@ -118,9 +249,9 @@ router.put('/users/:id/approve', protect, authorize('admin'), async (req, res) =
 });
 
 // @route   PUT /api/admin/users/:id/reject
-// @desc    Reject a user
+// @desc    Reject a pending user. Body: { reason, notify }
 // @access  Private/Admin
-router.put('/users/:id/reject', protect, authorize('admin'), async (req, res) => {
+router.put('/users/:id/reject', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     let user = await User.findById(req.params.id);
 
@@ -128,8 +259,24 @@ router.put('/users/:id/reject', protect, authorize('admin'), async (req, res) =>
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    user.status = 'rejected';
-    await user.save();
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot reject your own account' });
+    }
+
+    // Also signs the user out everywhere
+    const outcome = await changeUserStatus(user, 'reject', { reason: req.body.reason, changedBy: req.user.id });
+    if (!outcome.changed) {
+      return res.status(400).json({ success: false, message: outcome.message });
+    }
+    await recordAudit(req, {
+      action: 'user.reject', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before: { status: outcome.from }, after: { status: outcome.to },
+      metadata: { reason: req.body.reason },
+    });
+
+    if (req.body.notify) {
+      sendStatusEmail(user, 'reject', req.body.reason).catch((err) => console.error('Failed to send rejection email:', err));
+    }
 
     res.status(200).json({
       success: true,
@@ -142,10 +289,25 @@ router.put('/users/:id/reject', protect, authorize('admin'), async (req, res) =>
   }
 });
 
+// Suspension end date from `endsAt` (a date) or `durationDays`; neither means indefinite
+const parseSuspensionEnd = ({ endsAt, durationDays }) => {
+  if (endsAt) {
+    const date = new Date(endsAt);
+    if (isNaN(date.getTime()) || date <= new Date()) return { error: 'endsAt must be a date in the future' };
+    return { endsAt: date };
+  }
+  if (durationDays !== undefined && durationDays !== null && durationDays !== '') {
+    const days = Number(durationDays);
+    if (!(days > 0)) return { error: 'durationDays must be a positive number' };
+    return { endsAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+  }
+  return { endsAt: null };
+};
+
 // @route   PUT /api/admin/users/:id/suspend
-// @desc    Suspend a user
+// @desc    Suspend a user. Body: { reason, endsAt | durationDays } (no end date = until lifted)
 // @access  Private/Admin
-router.put('/users/:id/suspend', protect, authorize('admin'), async (req, res) => {
+router.put('/users/:id/suspend', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     let user = await User.findById(req.params.id);
 
@@ -153,8 +315,28 @@ router.put('/users/:id/suspend', protect, authorize('admin'), async (req, res) =
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    user.status = 'suspended';
-    await user.save();
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot suspend your own account' });
+    }
+
+    const { endsAt, error } = parseSuspensionEnd(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const outcome = await changeUserStatus(user, 'suspend', { reason: req.body.reason, endsAt, changedBy: req.user.id });
+    if (!outcome.changed) {
+      return res.status(400).json({ success: false, message: outcome.message });
+    }
+    await recordAudit(req, {
+      action: 'user.suspend', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before: { status: outcome.from }, after: { status: outcome.to },
+      metadata: { reason: req.body.reason, endsAt },
+    });
+
+    if (req.body.notify) {
+      sendStatusEmail(user, 'suspend', req.body.reason).catch((err) => console.error('Failed to send suspension email:', err));
+    }
 
     res.status(200).json({
       success: true,
@@ -170,7 +352,7 @@ router.put('/users/:id/suspend', protect, authorize('admin'), async (req, res) =
 // @route   PUT /api/admin/users/:id/unsuspend
 // @desc    Unsuspend a user
 // @access  Private/Admin
-router.put('/users/:id/unsuspend', protect, authorize('admin'), async (req, res) => {
+router.put('/users/:id/unsuspend', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     let user = await User.findById(req.params.id);
 
@@ -178,8 +360,15 @@ router.put('/users/:id/unsuspend', protect, authorize('admin'), async (req, res)
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    user.status = 'approved';
-    await user.save();
+    const outcome = await changeUserStatus(user, 'unsuspend', { reason: req.body.reason, changedBy: req.user.id });
+    if (!outcome.changed) {
+      return res.status(400).json({ success: false, message: outcome.message });
+    }
+    await recordAudit(req, {
+      action: 'user.unsuspend', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before: { status: outcome.from }, after: { status: outcome.to },
+      metadata: { reason: req.body.reason },
+    });
 
     res.status(200).json({
       success: true,
@@ -195,7 +384,7 @@ router.put('/users/:id/unsuspend', protect, authorize('admin'), async (req, res)
 // @route   PUT /api/admin/users/:id
 // @desc    Edit a user
 // @access  Private/Admin
-router.put('/users/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/users/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { firstName, lastName, idNumber, email, role, department, specialization, bio } = req.body;
 
@@ -204,12 +393,27 @@ router.put('/users/:id', protect, authorize('admin'), async (req, res) => {
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
+    if (!(await canManageUser(req, user))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to edit this user' });
+    }
+
+    const auditFields = ['firstName', 'lastName', 'idNumber', 'email', 'role', 'department', 'specialization', 'bio'];
+    const before = snapshot(user, auditFields);
 
     // Update fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (idNumber) user.idNumber = idNumber;
-    if (email) user.email = email;
+    if (email && email.toLowerCase() !== user.email) {
+      // A new address has not been confirmed yet
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+    const roleChanged = role && role !== user.role;
+    if (roleChanged && !req.can('role:manage')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to change user roles' });
+    }
     if (role) user.role = role;
     if (department !== undefined) user.department = department;
     if (specialization !== undefined) user.specialization = specialization;
@@ -217,6 +421,16 @@ router.put('/users/:id', protect, authorize('admin'), async (req, res) => {
 
     await user.save();
 
+    // The role is embedded in access tokens, so make the user sign in again
+    if (roleChanged) {
+      await Session.revokeAllForUser(user._id, 'role-changed');
+    }
+
+    await recordAudit(req, {
+      action: 'user.update', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before, after: snapshot(user, auditFields),
+    });
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -231,7 +445,7 @@ router.put('/users/:id', protect, authorize('admin'), async (req, res) => {
 // @route   POST /api/admin/users
 // @desc    Create a new user
 // @access  Private/Admin
-router.post('/users', protect, authorize('admin'), async (req, res) => {
+router.post('/users', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { firstName, lastName, idNumber, email, password, role, department, specialization } = req.body;
 
@@ -239,6 +453,10 @@ router.post('/users', protect, authorize('admin'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
+    if (role === 'admin' && !req.can('role:manage')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to create admin accounts' });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { idNumber }] });
     if (existingUser) {
@@ -258,6 +476,10 @@ router.post('/users', protect, authorize('admin'), async (req, res) => {
     });
 
     await user.save();
+    await recordAudit(req, {
+      action: 'user.create', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      after: snapshot(user, ['idNumber', 'email', 'role', 'department', 'status']),
+    });
 
     const out = user.toObject();
     delete out.password;
@@ -273,16 +495,329 @@ router.post('/users', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// Roster uploads are small text files kept in memory
+const rosterUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Accept the roster as a multipart `file` upload or as CSV text in `csv`
+const readRoster = (req) => {
+  if (req.file) return req.file.buffer.toString('utf8');
+  if (req.body && typeof req.body.csv === 'string') return req.body.csv;
+  return null;
+};
+
+// @route   POST /api/admin/users/import/preview
+// @desc    Dry run of a CSV roster import: reports bad rows and duplicates, creates nothing
+// @access  Private/Admin
+router.post('/users/import/preview', protect, requirePermission('user:manage'), rosterUpload.single('file'), async (req, res) => {
+  try {
+    const csv = readRoster(req);
+    if (!csv) return res.status(400).json({ success: false, message: 'A CSV file is required' });
+
+    const report = await validateRoster(csv);
+    if (report.error) return res.status(400).json({ success: false, message: report.error });
+
+    res.json({ success: true, summary: report.summary, rows: report.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to read roster' });
+  }
+});
+
+// @route   POST /api/admin/users/import
+// @desc    Import users from a CSV roster with generated temporary passwords.
+//          Rows that fail validation are skipped; the report says which.
+// @access  Private/Admin
+router.post('/users/import', protect, requirePermission('user:manage'), rosterUpload.single('file'), async (req, res) => {
+  try {
+    const csv = readRoster(req);
+    if (!csv) return res.status(400).json({ success: false, message: 'A CSV file is required' });
+
+    const report = await validateRoster(csv);
+    if (report.error) return res.status(400).json({ success: false, message: report.error });
+
+    const sendEmails = req.body.sendEmails === undefined || String(req.body.sendEmails) !== 'false';
+    const loginUrl = buildClientUrl('/login');
+    const results = [];
+
+    for (const row of report.rows) {
+      if (row.status !== 'valid') {
+        results.push({ line: row.line, idNumber: row.data.idNumber, status: 'skipped', errors: row.errors });
+        continue;
+      }
+      if (row.data.role === 'admin' && !req.can('role:manage')) {
+        results.push({ line: row.line, idNumber: row.data.idNumber, status: 'skipped', errors: ['not authorized to create admin accounts'] });
+        continue;
+      }
+
+      const temporaryPassword = generateTemporaryPassword();
+      try {
+        const user = await User.create({
+          ...row.data,
+          password: temporaryPassword,
+          status: 'approved',
+          mustChangePassword: true,
+        });
+
+        let emailed = false;
+        if (sendEmails) {
+          try {
+            await sendEmail({
+              to: user.email,
+              subject: 'Your TTLS account',
+              text: `Hello ${user.firstName},\n\nAn account has been created for you on TTLS.\n\nID number: ${user.idNumber}\nTemporary password: ${temporaryPassword}\n\nLog in at ${loginUrl} and change your password right away.`,
+              html: `<p>Hello ${user.firstName},</p><p>An account has been created for you on TTLS.</p><p>ID number: <strong>${user.idNumber}</strong><br>Temporary password: <strong>${temporaryPassword}</strong></p><p>Log in at <a href="${loginUrl}">${loginUrl}</a> and change your password right away.</p>`,
+            });
+            emailed = true;
+          } catch (mailError) {
+            console.error(`Failed to email temporary password to ${user.email}:`, mailError);
+          }
+        }
+
+        results.push({ line: row.line, idNumber: user.idNumber, status: 'created', userId: user._id, emailed });
+      } catch (createError) {
+        // e.g. a duplicate created between validation and insert
+        console.error(`Roster import failed on line ${row.line}:`, createError.message);
+        results.push({ line: row.line, idNumber: row.data.idNumber, status: 'failed', errors: [createError.message] });
+      }
+    }
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+
+    await recordAudit(req, {
+      action: 'user.import', targetType: 'User', targetLabel: `${count('created')} user(s)`,
+      metadata: { created: results.filter((r) => r.status === 'created').map((r) => r.userId), skipped: count('skipped'), failed: count('failed') },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${count('created')} user(s) imported`,
+      summary: {
+        total: results.length,
+        created: count('created'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        emailFailures: results.filter((r) => r.status === 'created' && sendEmails && !r.emailed).length,
+      },
+      results,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Import failed' });
+  }
+});
+
+// Most users a single bulk status request may touch
+const BULK_STATUS_LIMIT = 500;
+
+// @route   POST /api/admin/users/bulk-status
+// @desc    Approve, reject, suspend or unsuspend many users at once.
+//          Targets either `userIds` or a `filter` ({ role, department, registeredFrom, registeredTo });
+//          with a filter only users whose status the action applies to are selected.
+// @access  Private/Admin
+router.post('/users/bulk-status', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { action, userIds, filter, reason, notify } = req.body;
+
+    if (!STATUS_ACTIONS[action]) {
+      return res.status(400).json({ success: false, message: `action must be one of ${Object.keys(STATUS_ACTIONS).join(', ')}` });
+    }
+
+    const { endsAt, error: endsAtError } = action === 'suspend' ? parseSuspensionEnd(req.body) : {};
+    if (endsAtError) {
+      return res.status(400).json({ success: false, message: endsAtError });
+    }
+
+    let query;
+    if (Array.isArray(userIds) && userIds.length) {
+      // Malformed ids are reported per user below instead of failing the whole batch
+      query = { _id: { $in: userIds.filter((id) => mongoose.isValidObjectId(id)) } };
+    } else if (filter && typeof filter === 'object') {
+      query = { status: { $in: STATUS_ACTIONS[action].from } };
+      if (filter.role) query.role = filter.role;
+      if (filter.department) query.department = filter.department;
+      if (filter.registeredFrom || filter.registeredTo) {
+        query.createdAt = {};
+        if (filter.registeredFrom) query.createdAt.$gte = new Date(filter.registeredFrom);
+        if (filter.registeredTo) query.createdAt.$lte = new Date(filter.registeredTo);
+        if (Object.values(query.createdAt).some((d) => isNaN(d.getTime()))) {
+          return res.status(400).json({ success: false, message: 'Invalid registration date range' });
+        }
+      }
+    } else {
+      return res.status(400).json({ success: false, message: 'userIds or filter required' });
+    }
+
+    const users = await User.find(query).limit(BULK_STATUS_LIMIT + 1);
+    if (users.length > BULK_STATUS_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `More than ${BULK_STATUS_LIMIT} users match. Narrow the filter and try again.`,
+      });
+    }
+
+    const sendNotifications = notify === undefined || !!notify;
+    const results = [];
+
+    if (Array.isArray(userIds)) {
+      const found = new Set(users.map((u) => u._id.toString()));
+      userIds
+        .filter((id) => !found.has(String(id)))
+        .forEach((id) => results.push(mongoose.isValidObjectId(id)
+          ? { userId: id, result: 'not-found', message: 'User not found' }
+          : { userId: id, result: 'invalid', message: 'Invalid user id' }));
+    }
+
+    for (const user of users) {
+      const entry = { userId: user._id, idNumber: user.idNumber, name: `${user.firstName} ${user.lastName}` };
+
+      // Don't let an admin lock themselves out
+      if (user._id.toString() === req.user.id && ['reject', 'suspend'].includes(action)) {
+        results.push({ ...entry, result: 'skipped', message: `You cannot ${action} your own account` });
+        continue;
+      }
+
+      try {
+        const outcome = await changeUserStatus(user, action, { reason, endsAt, changedBy: req.user.id });
+        if (!outcome.changed) {
+          results.push({ ...entry, result: 'skipped', message: outcome.message });
+          continue;
+        }
+        await recordAudit(req, {
+          action: `user.${action}`, targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+          before: { status: outcome.from }, after: { status: outcome.to },
+          metadata: { reason, endsAt, bulk: true },
+        });
+
+        let emailed = false;
+        if (sendNotifications) {
+          try {
+            await sendStatusEmail(user, action, reason);
+            emailed = true;
+          } catch (mailError) {
+            console.error(`Failed to send status email to ${user.email}:`, mailError);
+          }
+        }
+
+        results.push({ ...entry, result: 'updated', status: outcome.to, emailed });
+      } catch (err) {
+        console.error(`Bulk ${action} failed for user ${user._id}:`, err);
+        results.push({ ...entry, result: 'failed', message: 'Server error' });
+      }
+    }
+
+    const count = (result) => results.filter((r) => r.result === result).length;
+
+    res.json({
+      success: true,
+      message: `${count('updated')} user(s) updated`,
+      summary: {
+        total: results.length,
+        updated: count('updated'),
+        skipped: count('skipped'),
+        notFound: count('not-found'),
+        invalid: count('invalid'),
+        failed: count('failed'),
+      },
+      results,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Bulk status change failed' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/suspensions
+// @desc    Current suspension and suspension history for a user
+// @access  Private/Admin
+router.get('/users/:id/suspensions', protect, requirePermission('user:view'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('+suspensionHistory')
+      .populate('suspension.issuedBy', '_id firstName lastName')
+      .populate('suspensionHistory.issuedBy', '_id firstName lastName')
+      .populate('suspensionHistory.endedBy', '_id firstName lastName');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      status: user.status,
+      suspension: user.status === 'suspended' ? user.suspension : null,
+      history: [...(user.suspensionHistory || [])].reverse(),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch suspensions' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/status-history
+// @desc    Status changes made by admins for a user
+// @access  Private/Admin
+router.get('/users/:id/status-history', protect, requirePermission('user:view'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('+statusHistory')
+      .populate('statusHistory.changedBy', '_id firstName lastName');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, status: user.status, history: [...(user.statusHistory || [])].reverse() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch status history' });
+  }
+});
+
 // Bulk actions: delete multiple users
 // POST /api/admin/users/bulk-delete
-// body: { userIds: [] }
-router.post('/users/bulk-delete', protect, authorize('admin'), async (req, res) => {
+// body: { userIds: [], mode: 'deactivate' | 'anonymize' | 'delete', reassignTo }. mode is required.
+router.post('/users/bulk-delete', protect, requirePermission('user:manage'), async (req, res) => {
   try {
-    const { userIds } = req.body;
+    const { userIds, mode, reassignTo } = req.body;
     if (!Array.isArray(userIds) || !userIds.length) return res.status(400).json({ success: false, message: 'userIds required' });
+    // No default: the most destructive mode must never be picked by leaving it out
+    if (!DELETION_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `mode must be one of ${DELETION_MODES.join(', ')}` });
+    }
+    if (userIds.map(String).includes(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own account' });
+    }
 
-    const result = await User.deleteMany({ _id: { $in: userIds } });
-    res.json({ success: true, message: 'Users deleted', deletedCount: result.deletedCount });
+    const { error } = await resolveReassignTarget(null, reassignTo);
+    if (error || userIds.map(String).includes(String(reassignTo))) {
+      return res.status(400).json({ success: false, message: error || 'Cannot reassign content to a user being removed' });
+    }
+
+    const results = [];
+    for (const id of userIds) {
+      try {
+        const user = await User.findById(id);
+        if (!user) {
+          results.push({ userId: id, result: 'not-found' });
+          continue;
+        }
+        const label = userLabel(user);
+        const outcome = await removeUser(user, { mode, reassignTo, actorId: req.user.id });
+        if (!outcome.error) {
+          await recordAudit(req, {
+            action: `user.${mode}`, targetType: 'User', targetId: id, targetLabel: label,
+            metadata: { reassignTo, reassigned: outcome.reassigned, deleted: outcome.deleted, bulk: true },
+          });
+        }
+        results.push({ userId: id, result: outcome.error ? 'failed' : 'removed', ...outcome });
+      } catch (err) {
+        console.error(`Failed to remove user ${id}:`, err);
+        results.push({ userId: id, result: 'failed', error: 'Server error' });
+      }
+    }
+
+    const removedCount = results.filter((r) => r.result === 'removed').length;
+    res.json({ success: true, message: `${removedCount} user(s) removed`, mode, deletedCount: removedCount, results });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, message: 'Bulk delete failed' });
@@ -290,28 +825,855 @@ router.post('/users/bulk-delete', protect, authorize('admin'), async (req, res)
 });
 
 // @route   DELETE /api/admin/users/:id
-// @desc    Delete a single user
+// @desc    Remove a user. ?mode=deactivate|anonymize|delete is required (delete cascades)
+//          and optional ?reassignTo=<userId> to hand their lessons, modules and assignments over
 // @access  Private/Admin
-router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/users/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const mode = req.query.mode || req.body.mode;
+    const reassignTo = req.query.reassignTo || req.body.reassignTo;
+    if (!DELETION_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `mode must be one of ${DELETION_MODES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    res.json({ success: true, message: 'User deleted' });
+    const label = userLabel(user);
+    const outcome = await removeUser(user, { mode, reassignTo, actorId: req.user.id });
+    if (outcome.error) {
+      return res.status(400).json({ success: false, message: outcome.error });
+    }
+    await recordAudit(req, {
+      action: `user.${mode}`, targetType: 'User', targetId: req.params.id, targetLabel: label,
+      metadata: { reassignTo, reassigned: outcome.reassigned, deleted: outcome.deleted },
+    });
+
+    const messages = { deactivate: 'User deactivated', anonymize: 'User anonymized', delete: 'User deleted' };
+    res.json({ success: true, message: messages[mode], ...outcome });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, message: 'Failed to delete user' });
   }
 });
 
+// @route   POST /api/admin/users/:id/exports
+// @desc    Export a user's personal data on their behalf (download link is emailed to the admin)
+// @access  Private/Admin
+router.post('/users/:id/exports', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const admin = await User.findById(req.user.id);
+    const result = await requestExport(user._id, admin);
+    if (result.error) {
+      return res.status(409).json({ success: false, message: result.error });
+    }
+
+    res.status(202).json({ success: true, message: 'Export queued', export: result.export, downloadUrl: result.downloadUrl });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to request data export' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/exports
+// @desc    Data exports for a user
+// @access  Private/Admin
+router.get('/users/:id/exports', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.params.id })
+      .populate('requestedBy', '_id firstName lastName')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, count: exports.length, exports });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch data exports' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reactivate
+// @desc    Restore a deactivated (not anonymized) account
+// @access  Private/Admin
+router.put('/users/:id/reactivate', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.status !== 'deactivated') {
+      return res.status(400).json({ success: false, message: 'User is not deactivated' });
+    }
+    if (user.anonymizedAt) {
+      return res.status(400).json({ success: false, message: 'Anonymized accounts cannot be restored' });
+    }
+
+    user.status = 'approved';
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.reactivate', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before: { status: 'deactivated' }, after: { status: user.status },
+    });
+
+    res.json({ success: true, message: 'User reactivated', user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to reactivate user' });
+  }
+});
+
+const IMPERSONATION_DEFAULT_MINUTES = 15;
+const IMPERSONATION_MAX_MINUTES = 60;
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived token to use the app as this user. Read-only unless
+//          readOnly: false; submitting work, messaging and account security are always refused.
+// @access  Private (user:impersonate)
+router.post('/users/:id/impersonate', protect, denyImpersonation, requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const { reason, minutes = IMPERSONATION_DEFAULT_MINUTES } = req.body;
+    const readOnly = req.body.readOnly !== false && req.body.readOnly !== 'false';
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot impersonate yourself' });
+    }
+
+    if (!readOnly && !req.can('user:impersonate-write')) {
+      return res.status(403).json({ success: false, message: 'Impersonating with write access requires user:impersonate-write' });
+    }
+
+    const duration = parseInt(minutes, 10);
+    if (!Number.isInteger(duration) || duration < 1 || duration > IMPERSONATION_MAX_MINUTES) {
+      return res.status(400).json({ success: false, message: `minutes must be between 1 and ${IMPERSONATION_MAX_MINUTES}` });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (target.status === 'deactivated') {
+      return res.status(400).json({ success: false, message: 'Deactivated accounts cannot be impersonated' });
+    }
+
+    // Never hand out another admin's (or impersonator's) privileges, or any permission
+    // the caller does not hold themselves
+    const { permissions } = await resolvePermissions(target);
+    if (target.role === 'admin' || hasPermission(permissions, 'user:impersonate')) {
+      return res.status(403).json({ success: false, message: 'Administrators cannot be impersonated' });
+    }
+    if (permissions.some((permission) => !req.can(permission))) {
+      return res.status(403).json({ success: false, message: 'This user holds permissions you do not have' });
+    }
+    if (!(await canActOn(req, 'user:impersonate', target._id))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to impersonate this user' });
+    }
+
+    const impersonation = await Impersonation.create({
+      admin: req.user.id,
+      target: target._id,
+      session: req.user.sid,
+      reason,
+      readOnly,
+      expiresAt: new Date(Date.now() + duration * 60 * 1000),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    await recordAudit(req, {
+      action: 'user.impersonate', targetType: 'User', targetId: target._id, targetLabel: userLabel(target),
+      metadata: { impersonationId: impersonation._id, reason, readOnly: impersonation.readOnly, expiresAt: impersonation.expiresAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${target.firstName} ${target.lastName}${impersonation.readOnly ? ' (read-only)' : ''}`,
+      token: generateImpersonationToken(impersonation, target),
+      impersonation,
+      user: { id: target._id, firstName: target.firstName, lastName: target.lastName, role: target.role },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to start impersonation' });
+  }
+});
+
+// @route   GET /api/admin/impersonations
+// @desc    Impersonation log, newest first. Query: admin, target, active=true, limit
+// @access  Private (user:impersonate)
+router.get('/impersonations', protect, requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const { admin, target, active } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const filter = {};
+    if (admin) filter.admin = admin;
+    if (target) filter.target = target;
+    if (active === 'true') {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const impersonations = await Impersonation.find(filter)
+      .populate('admin', '_id firstName lastName email')
+      .populate('target', '_id firstName lastName email role')
+      .populate('endedBy', '_id firstName lastName')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, count: impersonations.length, impersonations });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch impersonations' });
+  }
+});
+
+// @route   POST /api/admin/impersonations/:id/end
+// @desc    End an impersonation; its token stops working immediately
+// @access  Private (user:impersonate)
+router.post('/impersonations/:id/end', protect, denyImpersonation, requirePermission('user:impersonate'), async (req, res) => {
+  try {
+    const impersonation = await Impersonation.findOneAndUpdate(
+      { _id: req.params.id, endedAt: null },
+      { endedAt: new Date(), endedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!impersonation) {
+      return res.status(404).json({ success: false, message: 'Impersonation not found or already ended' });
+    }
+    await recordAudit(req, {
+      action: 'impersonation.end', targetType: 'User', targetId: impersonation.target,
+      metadata: { impersonationId: impersonation._id, startedBy: impersonation.admin },
+    });
+
+    res.json({ success: true, message: 'Impersonation ended', impersonation });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to end impersonation' });
+  }
+});
+
+const API_KEY_DEFAULT_DAYS = 90;
+const API_KEY_MAX_DAYS = 730;
+
+// @route   POST /api/admin/api-keys
+// @desc    Create an API key for an integration. The key is only returned in this response.
+//          Body: { name, description, permissions: [...], expiresInDays | expiresAt }
+// @access  Private (apikey:manage)
+router.post('/api-keys', protect, denyImpersonation, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions, expiresInDays, expiresAt } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Name is required' });
+    }
+    if (!Array.isArray(permissions) || !permissions.length) {
+      return res.status(400).json({ success: false, message: 'permissions must be a non-empty array' });
+    }
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, message: `Unknown permission(s): ${unknown.join(', ')}` });
+    }
+    const forbidden = API_KEY_FORBIDDEN_PERMISSIONS.filter((p) => hasPermission(permissions, p));
+    if (forbidden.length) {
+      return res.status(400).json({ success: false, message: `API keys cannot hold: ${forbidden.join(', ')}` });
+    }
+    // Don't let an admin hand a key more than they have themselves
+    const expand = (p) => (p.endsWith(':*') ? Object.keys(PERMISSIONS).filter((name) => name.startsWith(p.slice(0, -1))) : [p]);
+    const notHeld = permissions.filter((p) => !expand(p).every((name) => req.can(name)));
+    if (notHeld.length) {
+      return res.status(403).json({ success: false, message: `You do not hold: ${notHeld.join(', ')}` });
+    }
+
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + Number(expiresInDays === undefined ? API_KEY_DEFAULT_DAYS : expiresInDays) * 24 * 60 * 60 * 1000);
+    const maxExpiry = new Date(Date.now() + API_KEY_MAX_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(expiry.getTime()) || expiry <= new Date() || expiry > maxExpiry) {
+      return res.status(400).json({ success: false, message: `Expiry must be in the future and within ${API_KEY_MAX_DAYS} days` });
+    }
+
+    const key = `ttls_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      description,
+      prefix: key.slice(0, 12),
+      keyHash: hashToken(key),
+      permissions: [...new Set(permissions)],
+      expiresAt: expiry,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: 'api-key.create', targetType: 'ApiKey', targetId: apiKey._id, targetLabel: apiKey.name,
+      after: snapshot(apiKey, ['permissions', 'expiresAt']),
+    });
+
+    const out = apiKey.toObject();
+    delete out.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: { ...out, status: apiKey.getStatus() },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to create API key' });
+  }
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys with their status and last use (?status=active|expired|revoked)
+// @access  Private (apikey:manage)
+router.get('/api-keys', protect, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', '_id firstName lastName')
+      .populate('revokedBy', '_id firstName lastName')
+      .sort({ createdAt: -1 });
+
+    const withStatus = apiKeys
+      .map((k) => ({ ...k.toObject(), status: k.getStatus() }))
+      .filter((k) => !req.query.status || k.status === req.query.status);
+
+    res.json({ success: true, count: withStatus.length, apiKeys: withStatus });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch API keys' });
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke an API key; it stops working immediately
+// @access  Private (apikey:manage)
+router.delete('/api-keys/:id', protect, denyImpersonation, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user.id;
+      await apiKey.save();
+      await recordAudit(req, { action: 'api-key.revoke', targetType: 'ApiKey', targetId: apiKey._id, targetLabel: apiKey.name });
+    }
+
+    res.json({ success: true, message: 'API key revoked', apiKey: { ...apiKey.toObject(), status: apiKey.getStatus() } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to revoke API key' });
+  }
+});
+
+// Most rows a single audit log CSV export may contain
+const AUDIT_EXPORT_LIMIT = 50000;
+
+// Build an AuditLog query from ?actor, ?action, ?targetType, ?targetId, ?from, ?to.
+// Returns { filter } or { error }.
+const buildAuditFilter = (query) => {
+  const filter = {};
+  if (query.actor) filter.actor = query.actor;
+  if (query.action) filter.action = query.action;
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.targetId) filter.targetId = String(query.targetId);
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+      filter.createdAt[op] = date;
+    }
+  }
+  return { filter };
+};
+
+// @route   GET /api/admin/audit-logs
+// @desc    Audit log, newest first. Query: actor, action, targetType, targetId, from, to, page, limit
+// @access  Private (audit:view)
+router.get('/audit-logs', protect, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', '_id firstName lastName email')
+        .populate('onBehalfOf', '_id firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, page, limit, total, pages: Math.ceil(total / limit), logs });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+  }
+});
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Download the audit log as CSV (same filters as GET /audit-logs)
+// @access  Private (audit:view)
+router.get('/audit-logs/export', protect, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    if (total > AUDIT_EXPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `${total} entries match; at most ${AUDIT_EXPORT_LIMIT} can be exported at once. Narrow the date range.`,
+      });
+    }
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .populate('onBehalfOf', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const person = (user) => (user ? `${user.firstName} ${user.lastName} <${user.email}>` : '');
+    const describe = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+
+    const csv = toCsv(
+      logs.map((log) => ({
+        createdAt: log.createdAt,
+        actor: person(log.actor),
+        actorRole: log.actorRole,
+        onBehalfOf: person(log.onBehalfOf),
+        action: log.action,
+        targetType: log.targetType,
+        targetId: log.targetId,
+        targetLabel: log.targetLabel,
+        changes: (log.changes || []).map((c) => `${c.field}: ${describe(c.before)} -> ${describe(c.after)}`).join('; '),
+        metadata: log.metadata ? JSON.stringify(log.metadata) : '',
+        ip: log.ip,
+        userAgent: log.userAgent,
+      })),
+      ['createdAt', 'actor', 'actorRole', 'onBehalfOf', 'action', 'targetType', 'targetId', 'targetLabel', 'changes', 'metadata', 'ip', 'userAgent']
+    );
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to export audit log' });
+  }
+});
+
+// @route   GET /api/admin/profile-requests
+// @desc    List profile change requests (?status=pending by default)
+// @access  Private/Admin
+router.get('/profile-requests', protect, requirePermission('user:view'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const requests = await ProfileChangeRequest.find(query)
+      .populate('user', '_id idNumber firstName lastName email role department')
+      .populate('reviewedBy', '_id firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: requests.length, requests });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch profile requests' });
+  }
+});
+
+// Fields a profile change request can change (see models/ProfileChangeRequest.js)
+const PROFILE_REQUEST_FIELDS = ['firstName', 'lastName', 'idNumber', 'department'];
+
+// @route   PUT /api/admin/profile-requests/:id/approve
+// @desc    Apply a pending profile change request
+// @access  Private/Admin
+router.put('/profile-requests/:id/approve', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Request has already been reviewed' });
+    }
+    if (String(request.user) === req.user.id) {
+      return res.status(403).json({ success: false, message: 'You cannot approve your own profile change' });
+    }
+
+    const user = await User.findById(request.user);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!(await canManageUser(req, user))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to change this user' });
+    }
+
+    const { firstName, lastName, idNumber, department } = request.changes || {};
+    const before = snapshot(user, PROFILE_REQUEST_FIELDS);
+
+    if (idNumber) {
+      const taken = await User.findOne({ idNumber, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({ success: false, message: 'ID number is already in use' });
+      }
+      user.idNumber = idNumber;
+    }
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+    if (department !== undefined) user.department = department;
+    await user.save();
+
+    request.status = 'approved';
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    request.reviewNote = req.body.note;
+    await request.save();
+    await recordAudit(req, {
+      action: 'profile-request.approve', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before, after: snapshot(user, PROFILE_REQUEST_FIELDS),
+      metadata: { requestId: request._id, note: req.body.note },
+    });
+
+    res.json({ success: true, message: 'Profile change approved', request });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to approve request' });
+  }
+});
+
+// @route   PUT /api/admin/profile-requests/:id/reject
+// @desc    Reject a pending profile change request
+// @access  Private/Admin
+router.put('/profile-requests/:id/reject', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Request has already been reviewed' });
+    }
+
+    request.status = 'rejected';
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    request.reviewNote = req.body.note;
+    await request.save();
+    await recordAudit(req, {
+      action: 'profile-request.reject', targetType: 'User', targetId: request.user,
+      metadata: { requestId: request._id, changes: request.changes, note: req.body.note },
+    });
+
+    res.json({ success: true, message: 'Profile change rejected', request });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to reject request' });
+  }
+});
+
+// @route   GET /api/admin/guardian-links
+// @desc    List guardian link requests (?status=pending by default)
+// @access  Private/Admin
+router.get('/guardian-links', protect, requirePermission('user:view'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const links = await GuardianLink.find(query)
+      .populate('guardian', '_id idNumber firstName lastName email')
+      .populate('student', '_id idNumber firstName lastName email department')
+      .populate('reviewedBy', '_id firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: links.length, links });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch guardian links' });
+  }
+});
+
+// Approve or reject a pending guardian link request
+const reviewGuardianLink = (status) => async (req, res) => {
+  try {
+    const link = await GuardianLink.findById(req.params.id)
+      .populate('guardian', '_id firstName lastName email')
+      .populate('student', '_id idNumber firstName lastName email');
+
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Link request not found' });
+    }
+
+    if (link.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Link request has already been reviewed' });
+    }
+
+    link.status = status;
+    link.reviewedBy = req.user.id;
+    link.reviewedAt = new Date();
+    link.reviewNote = req.body.note;
+    await link.save();
+    await recordAudit(req, {
+      action: status === 'approved' ? 'guardian-link.approve' : 'guardian-link.reject',
+      targetType: 'User', targetId: link.student && link.student._id, targetLabel: userLabel(link.student),
+      metadata: { linkId: link._id, guardian: link.guardian && link.guardian._id, note: req.body.note },
+    });
+
+    res.json({ success: true, message: `Guardian link ${status}`, link });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to review guardian link' });
+  }
+};
+
+// @route   PUT /api/admin/guardian-links/:id/approve
+// @desc    Approve a pending guardian link request
+// @access  Private/Admin
+router.put('/guardian-links/:id/approve', protect, requirePermission('user:manage'), reviewGuardianLink('approved'));
+
+// @route   PUT /api/admin/guardian-links/:id/reject
+// @desc    Reject a pending guardian link request
+// @access  Private/Admin
+router.put('/guardian-links/:id/reject', protect, requirePermission('user:manage'), reviewGuardianLink('rejected'));
+
+// @route   POST /api/admin/invitations
+// @desc    Create an invitation code for a role (optionally bound to a department)
+// @access  Private/Admin
+router.post('/invitations', protect, requirePermission('user:invite'), async (req, res) => {
+  try {
+    const { role, department, maxUses, expiresInDays, expiresAt, autoApprove, note } = req.body;
+
+    if (!['student', 'teacher', 'admin', 'guardian'].includes(role)) {
+      return res.status(400).json({ success: false, message: 'Role must be student, teacher, admin or guardian' });
+    }
+
+    if (role === 'admin' && !req.can('role:manage')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to invite admins' });
+    }
+
+    const uses = maxUses === undefined ? 1 : parseInt(maxUses, 10);
+    if (!Number.isInteger(uses) || uses < 1) {
+      return res.status(400).json({ success: false, message: 'maxUses must be a positive number' });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else {
+      const days = expiresInDays === undefined ? 7 : Number(expiresInDays);
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Expiry must be a date in the future' });
+    }
+
+    // Retry on the (unlikely) chance of a code collision
+    let invitation;
+    for (let attempt = 0; attempt < 5 && !invitation; attempt++) {
+      const code = Invitation.generateCode();
+      if (await Invitation.exists({ code })) continue;
+      invitation = await Invitation.create({
+        code,
+        role,
+        department: department || undefined,
+        maxUses: uses,
+        expiresAt: expiry,
+        autoApprove: autoApprove === undefined ? true : !!autoApprove,
+        note,
+        createdBy: req.user.id,
+      });
+    }
+
+    if (!invitation) {
+      return res.status(500).json({ success: false, message: 'Could not generate a unique code' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.create', targetType: 'Invitation', targetId: invitation._id, targetLabel: invitation.code,
+      metadata: { role, department: invitation.department, maxUses: uses, expiresAt: expiry, autoApprove: invitation.autoApprove },
+    });
+
+    res.status(201).json({ success: true, message: 'Invitation created', invitation });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to create invitation' });
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    List invitations (?status=active|expired|used|revoked, ?role=)
+// @access  Private/Admin
+router.get('/invitations', protect, requirePermission('user:invite'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role) query.role = req.query.role;
+
+    const invitations = await Invitation.find(query)
+      .populate('createdBy', '_id firstName lastName')
+      .populate('redemptions.user', '_id idNumber firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    const withStatus = invitations
+      .map((inv) => ({ ...inv.toObject(), status: inv.getStatus() }))
+      .filter((inv) => !req.query.status || inv.status === req.query.status);
+
+    res.json({ success: true, count: withStatus.length, invitations: withStatus });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch invitations' });
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke an invitation so it can no longer be used
+// @access  Private/Admin
+router.delete('/invitations/:id', protect, requirePermission('user:invite'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+      await recordAudit(req, {
+        action: 'invitation.revoke', targetType: 'Invitation', targetId: invitation._id, targetLabel: invitation.code,
+      });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked', invitation });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to revoke invitation' });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List accounts and IP addresses currently locked out after failed logins
+// @access  Private/Admin
+router.get('/lockouts', protect, requirePermission('user:security'), async (req, res) => {
+  try {
+    const now = new Date();
+    const users = await User.find({ lockUntil: { $gt: now } })
+      .select('_id idNumber firstName lastName email role lockUntil lockCount failedLoginAttempts');
+    const ips = await LoginThrottle.find({ lockUntil: { $gt: now } }).sort({ lockUntil: -1 });
+
+    res.json({ success: true, users, ips });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch lockouts' });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/users/:id
+// @desc    Clear a user's lockout and failed attempt counters
+// @access  Private/Admin
+router.delete('/lockouts/users/:id', protect, requirePermission('user:security'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, lockCount: 0, lockUntil: null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await recordAudit(req, { action: 'lockout.clear', targetType: 'User', targetId: user._id, targetLabel: userLabel(user) });
+
+    res.json({ success: true, message: 'Lockout cleared', user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to clear lockout' });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/ips/:ip
+// @desc    Clear the lockout for an IP address
+// @access  Private/Admin
+router.delete('/lockouts/ips/:ip', protect, requirePermission('user:security'), async (req, res) => {
+  try {
+    const result = await LoginThrottle.deleteOne({ ip: req.params.ip });
+
+    if (!result.deletedCount) {
+      return res.status(404).json({ success: false, message: 'No lockout found for this IP' });
+    }
+    await recordAudit(req, { action: 'lockout.clear', targetType: 'IP', targetId: req.params.ip, targetLabel: req.params.ip });
+
+    res.json({ success: true, message: 'Lockout cleared' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to clear lockout' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/login-history
+// @desc    Recent login attempts for a user
+// @access  Private/Admin
+router.get('/users/:id/login-history', protect, requirePermission('user:security'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('idNumber firstName lastName lastLoginAt failedLoginAttempts lockUntil +loginHistory');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        lastLoginAt: user.lastLoginAt,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockUntil: user.lockUntil,
+        attempts: [...(user.loginHistory || [])].reverse(),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Failed to fetch login history' });
+  }
+});
+
 // Send email to users (admin)
 // POST /api/admin/users/email
 // body: { userIds: [], subject, text, html }
 const transporter = require('../config/mail');
-router.post('/users/email', protect, authorize('admin'), async (req, res) => {
+router.post('/users/email', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { userIds, subject, text, html } = req.body;
     if (!Array.isArray(userIds) || !userIds.length) return res.status(400).json({ success: false, message: 'userIds required' });
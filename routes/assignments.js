@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const multer = require('multer');
 const streamifier = require('streamifier');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { cloudinary, hasCloudinary } = require('../config/cloudinary');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { canActOn } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { contentVisibility, myClassesFilters, resolveSectionInput } = require('../utils/sections');
+const { rejectIfTermClosed, termFilter } = require('../utils/terms');
+const { readPublishingInput } = require('../utils/publishing');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
 // memory storage for attachments (we upload buffers to Cloudinary when available)
@@ -104,8 +110,8 @@ function uploadBufferToCloudinary(buffer, originalname, folderOrMimeType, mimeTy
   });
 }
 
-// Create assignment (public for testing)
-  router.post('/', protect, upload.array('attachments', 10), async (req, res) => {
+// Create assignment (teachers or admins)
+  router.post('/', protect, requirePermission('assignment:create'), upload.array('attachments', 10), async (req, res) => {
 
   try {
     console.log('Create assignment - hasCloudinary:', !!hasCloudinary);
@@ -138,6 +144,17 @@ function uploadBufferToCloudinary(buffer, originalname, folderOrMimeType, mimeTy
       }
     }
     
+    const sectionInput = await resolveSectionInput(req, req.body.sections);
+    if (sectionInput.error) {
+      return res.status(400).json({ success: false, message: sectionInput.error });
+    }
+
+    // Draft or published, and an optional release window
+    const publishing = readPublishingInput(req.body);
+    if (publishing.error) {
+      return res.status(400).json({ success: false, message: publishing.error });
+    }
+
     const assignment = await Assignment.create({
       title,
       description,
@@ -145,6 +162,8 @@ function uploadBufferToCloudinary(buffer, originalname, folderOrMimeType, mimeTy
       type,
       dueDate: dueDate ? new Date(dueDate) : undefined,
       lesson: lessonId || undefined,
+      sections: sectionInput.sectionIds,
+      ...publishing.values,
       createdBy: req.user.id,
       questions: parsedQuestions,
       totalPoints: totalPoints || 100,
@@ -187,13 +206,31 @@ function uploadBufferToCloudinary(buffer, originalname, folderOrMimeType, mimeTy
   }
 });
 
-// List assignments (public for testing)
-router.get('/', async (req, res) => {
+// List assignments. Students only get released assignments open to everyone or
+// assigned to one of their sections, and other users only see drafts and scheduled
+// assignments they wrote unless they have content:manage-any. ?section=<id> filters
+// by section and ?myClasses=true keeps the assignments of the caller's own sections.
+// ?term=<id>|active|all picks the term; by default assignments of closed terms are
+// left out.
+router.get('/', protect, async (req, res) => {
   try {
-    const filter = {};
+    const terms = await termFilter(req.query.term);
+    if (terms.error) return res.status(400).json({ success: false, message: terms.error });
+    const filter = { ...terms.filter, $and: [] };
+    const visibility = await contentVisibility(req);
+    if (visibility) filter.$and.push(visibility.assignments);
+    if (req.query.myClasses === 'true') filter.$and.push((await myClassesFilters(req)).assignments);
+    if (!filter.$and.length) delete filter.$and;
     if (req.query.lessonId) filter.lesson = req.query.lessonId;
+    if (req.query.section) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.section)) {
+        return res.status(400).json({ success: false, message: 'Invalid section id' });
+      }
+      filter.sections = req.query.section;
+    }
     const items = await Assignment.find(filter)
       .populate('createdBy', 'firstName lastName email profilePicture')
+      .populate('sections', '_id name')
       .populate({
         path: 'lesson',
         select: '_id title module',
@@ -210,10 +247,13 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single assignment (public for testing)
-router.get('/:id', async (req, res) => {
+// Get single assignment
+router.get('/:id', protect, async (req, res) => {
   try {
-    const a = await Assignment.findById(req.params.id).populate('createdBy', 'firstName lastName profilePicture');
+    const visibility = await contentVisibility(req);
+    const a = await Assignment.findOne({ _id: req.params.id, ...(visibility && visibility.assignments) })
+      .populate('createdBy', 'firstName lastName profilePicture')
+      .populate('sections', '_id name');
     if (!a) return res.status(404).json({ success: false, message: 'Not found' });
     res.json({ success: true, data: a });
   } catch (err) {
@@ -227,12 +267,27 @@ router.put('/:id', protect, upload.array('attachments', 10), async (req, res) =>
     const assignment = await Assignment.findById(req.params.id);
     if (!assignment) return res.status(404).json({ success: false, message: 'Assignment not found' });
 
-    if (assignment.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!req.can('assignment:edit') || !(await canActOn(req, 'content:manage-any', assignment.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to edit this assignment' });
     }
+    if (await rejectIfTermClosed(res, assignment)) return;
 
     const { title, description, instructions, type, dueDate, lessonId, questions, allowAutomaticGrading, allowResubmission } = req.body;
 
+    if (req.body.sections !== undefined) {
+      const sectionInput = await resolveSectionInput(req, req.body.sections);
+      if (sectionInput.error) {
+        return res.status(400).json({ success: false, message: sectionInput.error });
+      }
+      assignment.sections = sectionInput.sectionIds;
+    }
+
+    const publishing = readPublishingInput(req.body, assignment);
+    if (publishing.error) {
+      return res.status(400).json({ success: false, message: publishing.error });
+    }
+    assignment.set(publishing.values);
+
     if (title) assignment.title = title;
     if (description !== undefined) assignment.description = description;
     if (instructions !== undefined) assignment.instructions = instructions;
@@ -367,10 +422,12 @@ function autoGradeQuiz(assignment, answers) {
 }
 
 // Student submits for assignment
-router.post('/:id/submit', protect, upload.array('files', 10), async (req, res) => {
+router.post('/:id/submit', protect, denyImpersonation, upload.array('files', 10), async (req, res) => {
   try {
-    const assignment = await Assignment.findById(req.params.id);
+    const visibility = await contentVisibility(req);
+    const assignment = await Assignment.findOne({ _id: req.params.id, ...(visibility && visibility.assignments) });
     if (!assignment) return res.status(404).json({ success: false, message: 'Assignment not found' });
+    if (await rejectIfTermClosed(res, assignment)) return;
     
     // Check if student already submitted
     let existingSubmission = await Submission.findOne({ assignment: req.params.id, student: req.user.id });
@@ -500,11 +557,13 @@ router.post('/:id/submit', protect, upload.array('files', 10), async (req, res)
   }
 });
 
-// Student: get own submissions (optionally filtered by lessonId)
-router.get('/submissions/student', protect, authorize('student'), async (req, res) => {
+// Student: get own submissions (optionally filtered by lessonId and ?term=)
+router.get('/submissions/student', protect, requirePermission('submission:submit'), async (req, res) => {
   try {
     const { lessonId } = req.query;
-    const filter = { student: req.user.id };
+    const terms = await termFilter(req.query.term);
+    if (terms.error) return res.status(400).json({ success: false, message: terms.error });
+    const filter = { ...terms.filter, student: req.user.id };
     
     // If lessonId is provided, filter by assignments in that lesson
     if (lessonId) {
@@ -525,7 +584,7 @@ router.get('/submissions/student', protect, authorize('student'), async (req, re
 });
 
 // Teacher: list submissions for an assignment
-router.get('/:id/submissions', protect, authorize('teacher','admin'), async (req, res) => {
+router.get('/:id/submissions', protect, requirePermission('submission:view'), async (req, res) => {
   try {
     const subs = await Submission.find({ assignment: req.params.id }).populate('student', 'firstName lastName email idNumber profilePicture').sort({ submittedAt: -1 });
     res.json({ success: true, data: subs });
@@ -535,8 +594,11 @@ router.get('/:id/submissions', protect, authorize('teacher','admin'), async (req
   }
 });
 
+// Submission fields recorded in the audit log when grades change
+const GRADE_AUDIT_FIELDS = ['grade', 'feedback', 'totalScore', 'gradePercentage', 'isGraded'];
+
 // Teacher: grade a submission (supports quiz answer grading)
-router.put('/:assignmentId/submissions/:submissionId/grade', protect, authorize('teacher','admin'), async (req, res) => {
+router.put('/:assignmentId/submissions/:submissionId/grade', protect, requirePermission('submission:grade'), async (req, res) => {
   try {
     const { assignmentId, submissionId } = req.params;
     const { grade, feedback, answers: gradedAnswers, totalScore, gradePercentage } = req.body;
@@ -546,6 +608,8 @@ router.put('/:assignmentId/submissions/:submissionId/grade', protect, authorize(
     if (!submission) {
       return res.status(404).json({ success: false, message: 'Submission not found' });
     }
+    if (await rejectIfTermClosed(res, submission) || await rejectIfTermClosed(res, submission.assignment)) return;
+    const before = snapshot(submission, GRADE_AUDIT_FIELDS);
     
     // Update overall grade and feedback
     if (grade !== undefined) submission.grade = Number(grade);
@@ -578,6 +642,12 @@ router.put('/:assignmentId/submissions/:submissionId/grade', protect, authorize(
     }
     
     await submission.save();
+    await recordAudit(req, {
+      action: 'submission.grade', targetType: 'Submission', targetId: submission._id,
+      targetLabel: submission.assignment?.title,
+      before, after: snapshot(submission, GRADE_AUDIT_FIELDS),
+      metadata: { assignment: assignmentId, student: submission.student },
+    });
     
     res.json({ success: true, data: submission });
   } catch (err) {
@@ -587,7 +657,7 @@ router.put('/:assignmentId/submissions/:submissionId/grade', protect, authorize(
 });
 
 // Delete grade (remove grade but keep submission)
-router.delete('/:assignmentId/submissions/:submissionId/grade', protect, authorize('teacher','admin'), async (req, res) => {
+router.delete('/:assignmentId/submissions/:submissionId/grade', protect, requirePermission('submission:grade'), async (req, res) => {
   try {
     const { assignmentId, submissionId } = req.params;
     
@@ -596,7 +666,10 @@ router.delete('/:assignmentId/submissions/:submissionId/grade', protect, authori
     if (!submission) {
       return res.status(404).json({ success: false, message: 'Submission not found' });
     }
+    if (await rejectIfTermClosed(res, submission) || await rejectIfTermClosed(res, submission.assignment)) return;
     
+    const before = snapshot(submission, GRADE_AUDIT_FIELDS);
+
     // Remove grade and related grading info
     submission.grade = null;
     submission.totalPoints = submission.assignment?.totalPoints || 100;
@@ -615,6 +688,12 @@ router.delete('/:assignmentId/submissions/:submissionId/grade', protect, authori
     }
     
     await submission.save();
+    await recordAudit(req, {
+      action: 'submission.ungrade', targetType: 'Submission', targetId: submission._id,
+      targetLabel: submission.assignment?.title,
+      before, after: snapshot(submission, GRADE_AUDIT_FIELDS),
+      metadata: { assignment: assignmentId, student: submission.student },
+    });
     
     res.json({ success: true, data: submission, message: 'Grade deleted successfully' });
   } catch (err) {
@@ -624,7 +703,7 @@ router.delete('/:assignmentId/submissions/:submissionId/grade', protect, authori
 });
 
 // Delete submission (entire submission, not just grade)
-router.delete('/:assignmentId/submissions/:submissionId', protect, authorize('teacher','admin'), async (req, res) => {
+router.delete('/:assignmentId/submissions/:submissionId', protect, requirePermission('submission:delete'), async (req, res) => {
   try {
     const { assignmentId, submissionId } = req.params;
     
@@ -638,6 +717,7 @@ router.delete('/:assignmentId/submissions/:submissionId', protect, authorize('te
     if (submission.assignment.toString() !== assignmentId) {
       return res.status(403).json({ success: false, message: 'Submission does not belong to this assignment' });
     }
+    if (await rejectIfTermClosed(res, submission)) return;
     
     await Submission.findByIdAndDelete(submissionId);
     
@@ -649,7 +729,7 @@ router.delete('/:assignmentId/submissions/:submissionId', protect, authorize('te
 });
 
 // Get statistics for an assignment
-router.get('/:id/statistics', protect, authorize('teacher','admin'), async (req, res) => {
+router.get('/:id/statistics', protect, requirePermission('submission:view'), async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id);
     if (!assignment) {
@@ -703,10 +783,11 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Assignment not found' });
     }
 
-    // Check authorization: only creator or admin can delete
-    if (assignment.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check authorization: the creator, or a role that may manage others' content
+    if (!req.can('assignment:delete') || !(await canActOn(req, 'content:manage-any', assignment.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this assignment' });
     }
+    if (await rejectIfTermClosed(res, assignment)) return;
 
     // Delete attachments from Cloudinary if they exist
     if (assignment.attachments && assignment.attachments.length) {
@@ -722,10 +803,14 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     // Delete all submissions for this assignment
-    await Submission.deleteMany({ assignment: req.params.id });
+    const { deletedCount } = await Submission.deleteMany({ assignment: req.params.id });
 
     // Delete the assignment
     await Assignment.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'assignment.delete', targetType: 'Assignment', targetId: assignment._id, targetLabel: assignment.title,
+      metadata: { createdBy: assignment.createdBy, submissionsDeleted: deletedCount },
+    });
 
     res.json({ success: true, message: 'Assignment deleted successfully' });
   } catch (err) {
@@ -1,21 +1,212 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const Invitation = require('../models/Invitation');
+const { protect, denyImpersonation } = require('../middleware/auth');
+const { sendEmail, buildClientUrl } = require('../utils/sendEmail');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  isLocked,
+  getIpLock,
+  recordIpFailure,
+  recordUserFailure,
+  recordLockedAttempt,
+  recordUserSuccess,
+} = require('../utils/loginThrottle');
+const { suspensionResponse, reinstateIfExpired } = require('../utils/userStatus');
+const { oidcConfig, isOidcEnabled } = require('../config/oidc');
+const { startLogin, completeCallback, redeemLoginCode } = require('../utils/oidc');
+const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Coarse per-IP limit on credential endpoints; finer lockouts are in utils/loginThrottle
+const loginLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { success: false, message: 'Too many login attempts, please try again later' },
+});
+
+// Routes that send mail to an address given in the body: per IP, and per address so
+// one inbox cannot be flooded from many IPs
+const mailLimiters = [
+  rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, message: 'Too many requests, please try again later' },
+  }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    keyGenerator: (req) => `email:${String((req.body && req.body.email) || '').trim().toLowerCase()}`,
+    message: { success: false, message: 'Too many requests for this email, please try again later' },
+  }),
+];
+
+// Same message for unknown ID numbers and wrong passwords so accounts can't be probed
+const INVALID_CREDENTIALS = 'Invalid ID number or password';
+const TOO_MANY_ATTEMPTS = 'Too many failed login attempts. Please try again later.';
+// Compared against for unknown ID numbers, so they take as long as a wrong password
+// (same cost as the hashes in models/User.js)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// User fields returned alongside tokens
+const toAuthUser = (user) => ({
+  id: user._id,
+  idNumber: user.idNumber,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  mustChangePassword: user.mustChangePassword,
+  profilePicture: user.profilePicture || null,
+  coverPhoto: user.coverPhoto || null,
+  bio: user.bio || '',
+});
+
+// Start a session and send the standard login response
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+  const { token, refreshToken } = await issueTokens(user, req);
+  await recordUserSuccess(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: toAuthUser(user),
+    ...extra,
+  });
+};
+
+// Whether the admin requires two-factor authentication for this user's role
+const isTwoFactorRequired = async (user) => {
+  const settings = await Settings.findOne();
+  return !!(settings && settings.twoFactorRequiredRoles && settings.twoFactorRequiredRoles.includes(user.role));
+};
+
+// Once the user has proven who they are (password or SSO): check the account
+// status, then either ask for a 2FA code or sign them in
+const continueLogin = async (req, res, user) => {
+  // Check if user is approved
+  if (user.status === 'pending') {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is pending approval. Please wait for admin approval.',
+    });
+  }
+
+  if (user.status === 'rejected') {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account has been rejected. Please contact admin.',
+    });
+  }
+
+  if (user.status === 'deactivated') {
+    return res.status(403).json({
+      success: false,
+      message: 'This account has been deactivated. Please contact admin.',
+    });
+  }
+
+  if (user.status === 'suspended' && !(await reinstateIfExpired(user))) {
+    return res.status(403).json(suspensionResponse(user));
+  }
+
+  // Second step: the JWT is only issued once a TOTP or recovery code is checked
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: generateTwoFactorToken(user, '2fa-login'),
+      message: 'Enter the code from your authenticator app',
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      twoFactorToken: generateTwoFactorToken(user, '2fa-setup'),
+      message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+    });
+  }
+
+  await sendLoginResponse(req, res, user);
+};
+
+// Enrollment routes accept either a logged-in user or the setup token handed out
+// by login when the user's role requires 2FA but they have not enrolled yet
+const protectOrTwoFactorSetup = (req, res, next) => {
+  if (req.body && req.body.twoFactorToken) {
+    const decoded = verifyTwoFactorToken(req.body.twoFactorToken, '2fa-setup');
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: 'Two-factor setup session expired. Please log in again.' });
+    }
+    req.user = { id: decoded.id, role: decoded.role };
+    req.twoFactorSetupLogin = true;
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// Email a verification link for the given token
+const sendVerificationEmail = (req, user, verificationToken) => {
+  const verifyUrl = buildClientUrl(`/verify-email/${verificationToken}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your TTLS email address',
+    text: `Hello ${user.firstName},\n\nPlease confirm your email address by opening the link below. The link expires in 24 hours.\n\n${verifyUrl}\n\nIf you did not create a TTLS account, you can ignore this email.`,
+    html: `<p>Hello ${user.firstName},</p><p>Please confirm your email address by clicking the link below. The link expires in 24 hours.</p><p><a href="${verifyUrl}">${verifyUrl}</a></p><p>If you did not create a TTLS account, you can ignore this email.</p>`,
   });
 };
 
+// Roles that can only be registered with an invitation code
+const INVITE_ONLY_ROLES = ['teacher', 'admin'];
+
+// @route   GET /api/auth/invitations/:code
+// @desc    Check an invitation code before signing up
+// @access  Public
+router.get('/invitations/:code', loginLimiter, async (req, res) => {
+  try {
+    const invitation = await Invitation.findRedeemable(req.params.code);
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invalid or expired invitation code' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        role: invitation.role,
+        department: invitation.department || null,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/signup
 // @desc    Register a new user
-// @access  Public
+// @access  Public (teacher and admin signups require an invitation code)
 router.post(
   '/signup',
   [
@@ -24,7 +215,8 @@ router.post(
     body('idNumber', 'ID Number is required').trim().notEmpty(),
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
-    body('role', 'Role must be student, teacher, or admin').isIn(['student', 'teacher', 'admin']),
+    body('role', 'Role must be student, teacher, admin or guardian').isIn(['student', 'teacher', 'admin', 'guardian']),
+    body('inviteCode').optional().trim(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -32,7 +224,17 @@ router.post(
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { firstName, lastName, idNumber, email, password, role, dateOfBirth, department } = req.body;
+    const { firstName, lastName, idNumber, email, password, role, dateOfBirth, inviteCode } = req.body;
+    let { department } = req.body;
+
+    if (INVITE_ONLY_ROLES.includes(role) && !inviteCode) {
+      return res.status(403).json({
+        success: false,
+        message: `An invitation code is required to register as ${role}`,
+      });
+    }
+
+    let invitation = null;
 
     try {
       // Check if user already exists
@@ -45,15 +247,27 @@ router.post(
         });
       }
 
-      // Determine initial status: if creating the first admin, auto-approve
-      let initialStatus = 'pending';
-      if (role === 'admin') {
-        const adminCount = await User.countDocuments({ role: 'admin' });
-        if (adminCount === 0) {
-          initialStatus = 'approved';
+      if (inviteCode) {
+        const candidate = await Invitation.findRedeemable(inviteCode);
+        if (!candidate) {
+          return res.status(403).json({ success: false, message: 'Invalid or expired invitation code' });
+        }
+        if (candidate.role !== role) {
+          return res.status(403).json({ success: false, message: `This invitation code is for the ${candidate.role} role` });
+        }
+
+        // Take a use atomically so a single-use code can't be redeemed twice
+        invitation = await Invitation.claim(inviteCode);
+        if (!invitation) {
+          return res.status(403).json({ success: false, message: 'Invalid or expired invitation code' });
+        }
+        if (invitation.department) {
+          department = invitation.department;
         }
       }
 
+      const initialStatus = invitation && invitation.autoApprove ? 'approved' : 'pending';
+
       // Create new user
       user = new User({
         firstName,
@@ -67,26 +281,35 @@ router.post(
         status: initialStatus,
       });
 
-      await user.save();
+      const verificationToken = user.getEmailVerificationToken();
+      try {
+        await user.save();
+      } catch (saveError) {
+        if (invitation) await Invitation.release(invitation._id);
+        throw saveError;
+      }
+
+      if (invitation) {
+        await Invitation.recordRedemption(invitation._id, user._id);
+      }
 
-      const token = generateToken(user._id, user.role);
+      // A failed email should not fail the signup; the user can ask for a new link
+      try {
+        await sendVerificationEmail(req, user, verificationToken);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.status(201).json({
         success: true,
-        message: 'User registered successfully. Awaiting admin approval.',
+        message: initialStatus === 'approved'
+          ? 'User registered successfully. Please verify your email address.'
+          : 'User registered successfully. Please verify your email address. Awaiting admin approval.',
         token,
-        user: {
-          id: user._id,
-          idNumber: user.idNumber,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          profilePicture: user.profilePicture || null,
-          coverPhoto: user.coverPhoto || null,
-          bio: user.bio || '',
-        },
+        refreshToken,
+        user: toAuthUser(user),
       });
     } catch (error) {
       console.error(error);
@@ -100,6 +323,7 @@ router.post(
 // @access  Public
 router.post(
   '/login',
+  loginLimiter,
   [
     body('idNumber', 'ID Number is required').trim().notEmpty(),
     body('password', 'Password is required').notEmpty(),
@@ -113,66 +337,414 @@ router.post(
     const { idNumber, password } = req.body;
 
     try {
+      if (await getIpLock(req.ip)) {
+        return res.status(429).json({ success: false, message: TOO_MANY_ATTEMPTS });
+      }
+
       // Find user by ID number only (role will be determined from user document)
       const user = await User.findOne({ idNumber });
 
       if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials. User not found.',
-        });
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await recordIpFailure(req.ip);
+        return res.status(401).json({ success: false, message: INVALID_CREDENTIALS });
       }
 
-      // Check if user is approved
-      if (user.status === 'pending') {
-        return res.status(403).json({
-          success: false,
-          message: 'Your account is pending approval. Please wait for admin approval.',
-        });
+      if (isLocked(user)) {
+        await recordLockedAttempt(user, req);
+        return res.status(429).json({ success: false, message: TOO_MANY_ATTEMPTS });
       }
 
-      if (user.status === 'rejected') {
-        return res.status(403).json({
-          success: false,
-          message: 'Your account has been rejected. Please contact admin.',
-        });
+      // Check password before revealing anything about the account
+      const isMatch = await user.matchPassword(password);
+
+      if (!isMatch) {
+        await recordUserFailure(user, req, 'bad-password');
+        await recordIpFailure(req.ip);
+        return res.status(401).json({ success: false, message: INVALID_CREDENTIALS });
       }
 
-      if (user.status === 'suspended') {
-        return res.status(403).json({
-          success: false,
-          message: 'Your account has been suspended. Please contact admin.',
-        });
+      await continueLogin(req, res, user);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/auth/oidc
+// @desc    Whether single sign-on is available (for showing the button on the login page)
+// @access  Public
+router.get('/oidc', (req, res) => {
+  res.status(200).json({
+    success: true,
+    enabled: isOidcEnabled(),
+    providerName: isOidcEnabled() ? oidcConfig.providerName : undefined,
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start single sign-on: redirects the browser to the identity provider.
+//          ?returnTo=/path is handed back to the client after signing in.
+// @access  Public
+router.get('/oidc/login', loginLimiter, async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ success: false, message: 'Single sign-on is not configured' });
+  }
+
+  try {
+    res.redirect(await startLogin(req, res, req.query.returnTo));
+  } catch (error) {
+    console.error('OIDC login could not start:', error.message);
+    res.status(502).json({ success: false, message: 'The sign-in provider is unavailable. Please try again later.' });
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Where the identity provider sends the browser back. Redirects to the
+//          client's OIDC_CLIENT_CALLBACK_PATH with ?code= (one-time login code) or ?error=
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  const redirectToClient = (params) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    res.redirect(buildClientUrl(`${oidcConfig.clientCallbackPath}?${query}`));
+  };
+
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ success: false, message: 'Single sign-on is not configured' });
+  }
+
+  if (req.query.error) {
+    return redirectToClient({ error: req.query.error_description || 'Sign-in was cancelled or failed' });
+  }
+
+  try {
+    const result = await completeCallback(req, res, { code: req.query.code, state: req.query.state });
+    if (result.error) {
+      return redirectToClient({ error: result.error, returnTo: result.returnTo });
+    }
+    redirectToClient({ code: result.loginCode, returnTo: result.returnTo, provisioned: result.provisioned ? 'true' : '' });
+  } catch (error) {
+    console.error('OIDC callback failed:', error.message);
+    redirectToClient({ error: 'Sign-in could not be completed. Please try again.' });
+  }
+});
+
+// @route   POST /api/auth/oidc/token
+// @desc    Exchange the one-time login code from the SSO callback for tokens.
+//          Responds like /login (including the 2FA steps).
+// @access  Public
+router.post(
+  '/oidc/token',
+  loginLimiter,
+  [body('code', 'Login code is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await redeemLoginCode(req.body.code);
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'Sign-in expired. Please try again.' });
       }
 
-      // Check password
-      const isMatch = await user.matchPassword(password);
+      await continueLogin(req, res, user);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
 
-      if (!isMatch) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials. Password incorrect.',
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP code or a recovery code
+// @access  Public (requires the twoFactorToken from /login)
+router.post(
+  '/login/2fa',
+  loginLimiter,
+  [body('twoFactorToken', 'Two-factor token is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'A verification code or recovery code is required' });
+    }
+
+    try {
+      const decoded = verifyTwoFactorToken(twoFactorToken, '2fa-login');
+      if (!decoded) {
+        return res.status(401).json({ success: false, message: 'Login session expired. Please log in again.' });
+      }
+
+      const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+      if (!user || user.status !== 'approved' || !user.twoFactorEnabled) {
+        return res.status(401).json({ success: false, message: 'Login session expired. Please log in again.' });
+      }
+
+      if (isLocked(user)) {
+        await recordLockedAttempt(user, req);
+        return res.status(429).json({ success: false, message: TOO_MANY_ATTEMPTS });
+      }
+
+      if (code) {
+        const step = verifyCode(user.twoFactorSecret, code);
+        if (step === null || (user.twoFactorLastStep && step <= user.twoFactorLastStep)) {
+          await recordUserFailure(user, req, 'bad-2fa-code');
+          return res.status(401).json({ success: false, message: 'Invalid verification code' });
+        }
+        user.twoFactorLastStep = step;
+      } else if (!user.useRecoveryCode(recoveryCode)) {
+        await recordUserFailure(user, req, 'bad-recovery-code');
+        return res.status(401).json({ success: false, message: 'Invalid recovery code' });
+      }
+
+      await user.save({ validateBeforeSave: false });
+
+      await sendLoginResponse(req, res, user, {
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT /api/auth/verify-email/:verifytoken
+// @desc    Confirm an email address using the emailed token
+// @access  Public
+router.put('/verify-email/:verifytoken', async (req, res) => {
+  try {
+    const emailVerificationToken = crypto.createHash('sha256').update(req.params.verifytoken).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({ success: true, message: 'Email address verified' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post(
+  '/resend-verification',
+  mailLimiters,
+  [body('email', 'Please include a valid email').isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    // Same response whether or not the email exists or is already verified
+    const genericResponse = {
+      success: true,
+      message: 'If an unverified account exists for that email, a new verification link has been sent.',
+    };
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      if (!user || user.emailVerified) {
+        return res.status(200).json(genericResponse);
+      }
+
+      const verificationToken = user.getEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendVerificationEmail(req, user, verificationToken);
+      } catch (mailError) {
+        // Still the generic response: an error here would reveal that the account exists
+        console.error('Failed to send verification email:', mailError);
+      }
+
+      res.status(200).json(genericResponse);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post(
+  '/refresh',
+  [body('refreshToken', 'Refresh token is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+      if (result.error) {
+        return res.status(401).json({ success: false, message: result.error });
+      }
+
+      res.status(200).json({
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, denyImpersonation, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session for the current user (log out all devices)
+// @access  Private
+router.post('/logout-all', protect, denyImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout-all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  mailLimiters,
+  [body('email', 'Please include a valid email').isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    // Same response whether or not the email exists, so addresses can't be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.',
+    };
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+      if (!user) {
+        return res.status(200).json(genericResponse);
+      }
+
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = buildClientUrl(`/reset-password/${resetToken}`);
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'TTLS password reset',
+          text: `Hello ${user.firstName},\n\nA password reset was requested for your TTLS account. Open the link below to choose a new password. The link expires in 30 minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+          html: `<p>Hello ${user.firstName},</p><p>A password reset was requested for your TTLS account. Click the link below to choose a new password. The link expires in 30 minutes and can only be used once.</p><p><a href="${resetUrl}">${resetUrl}</a></p><p>If you did not request this, you can ignore this email.</p>`,
         });
+      } catch (mailError) {
+        // Still the generic response: an error here would reveal that the account exists
+        console.error('Failed to send password reset email:', mailError);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+
+      res.status(200).json(genericResponse);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT /api/auth/reset-password/:resettoken
+// @desc    Reset password using the emailed token
+// @access  Public
+router.put(
+  '/reset-password/:resettoken',
+  [body('password', 'Password must be at least 6 characters').isLength({ min: 6 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const resetPasswordToken = crypto.createHash('sha256').update(req.params.resettoken).digest('hex');
+
+      const user = await User.findOne({
+        resetPasswordToken,
+        resetPasswordExpire: { $gt: Date.now() },
+      });
+
+      if (!user) {
+        return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
       }
 
-      const token = generateToken(user._id, user.role);
+      // Setting the password also stamps passwordChangedAt, which invalidates existing tokens
+      user.password = req.body.password;
+      user.mustChangePassword = false;
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
 
       res.status(200).json({
         success: true,
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          idNumber: user.idNumber,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          profilePicture: user.profilePicture || null,
-          coverPhoto: user.coverPhoto || null,
-          bio: user.bio || '',
-        },
+        message: 'Password has been reset. Please log in with your new password.',
       });
     } catch (error) {
       console.error(error);
@@ -181,16 +753,205 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a secret and an otpauth:// provisioning URI
+// @access  Private (or twoFactorToken from a login that requires enrollment)
+router.post('/2fa/setup', protectOrTwoFactorSetup, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email || user.idNumber }),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns recovery codes once
+// @access  Private (or twoFactorToken from a login that requires enrollment)
+router.post(
+  '/2fa/enable',
+  protectOrTwoFactorSetup,
+  denyImpersonation,
+  [body('code', 'Verification code is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+      }
+
+      const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ success: false, message: 'Invalid verification code' });
+      }
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorLastStep = step;
+      user.twoFactorEnabled = true;
+      user.twoFactorEnabledAt = new Date();
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      // Enrollment forced at login finishes that login
+      if (req.twoFactorSetupLogin) {
+        if (user.status !== 'approved') {
+          return res.status(403).json({ success: false, message: 'Your account is not active. Please contact admin.' });
+        }
+        return sendLoginResponse(req, res, user, { recoveryCodes });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recoveryCodes,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (needs password and a current code)
+// @access  Private
+router.post(
+  '/2fa/disable',
+  protect,
+  denyImpersonation,
+  [
+    body('password', 'Password is required').notEmpty(),
+    body('code', 'Verification code is required').notEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (await isTwoFactorRequired(user)) {
+        return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role and cannot be disabled' });
+      }
+
+      const isMatch = await user.matchPassword(req.body.password);
+      if (!isMatch || verifyCode(user.twoFactorSecret, req.body.code) === null) {
+        return res.status(401).json({ success: false, message: 'Invalid password or verification code' });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorEnabledAt = undefined;
+      user.twoFactorSecret = undefined;
+      user.twoFactorLastStep = undefined;
+      user.twoFactorRecoveryCodes = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (needs a current code); old codes stop working
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  denyImpersonation,
+  [body('code', 'Verification code is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (verifyCode(user.twoFactorSecret, req.body.code) === null) {
+        return res.status(401).json({ success: false, message: 'Invalid verification code' });
+      }
+
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({ success: true, recoveryCodes });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 // @route   GET /api/auth/me
-// @desc    Get current logged in user
+// @desc    Get current logged in user (with the impersonating admin, if any)
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
+    const user = await User.findById(req.user.id).select('-password').populate('customRole', 'name description');
 
     res.status(200).json({
       success: true,
       user,
+      permissions: req.permissions,
+      impersonation: req.impersonation
+        ? {
+          id: req.impersonation._id,
+          admin: req.actor.id,
+          readOnly: req.impersonation.readOnly,
+          expiresAt: req.impersonation.expiresAt,
+        }
+        : null,
     });
   } catch (error) {
     console.error(error);
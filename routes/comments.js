@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Comment = require('../models/Comment');
 const Lesson = require('../models/Lesson');
-const { protect } = require('../middleware/auth');
+const { protect, denyImpersonation } = require('../middleware/auth');
 
 // Get comments for a lesson
 router.get('/lesson/:lessonId', protect, async (req, res) => {
@@ -29,7 +29,7 @@ router.get('/lesson/:lessonId', protect, async (req, res) => {
 });
 
 // Create a comment
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, denyImpersonation, async (req, res) => {
   try {
     const { lessonId, content, parentCommentId } = req.body;
 
@@ -111,7 +111,7 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (comment.user.toString() !== req.user.id && !req.can('comment:moderate')) {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
 
@@ -1,62 +1,81 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const Progress = require('../models/Progress');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const Lesson = require('../models/Lesson');
 const LessonView = require('../models/LessonView');
+const Section = require('../models/Section');
+const mongoose = require('mongoose');
+const { contentVisibility, canManageSection } = require('../utils/sections');
+const { termFilter } = require('../utils/terms');
 
-// Get dashboard stats for teachers
-router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) => {
+// Get dashboard stats for teachers. With ?section=<id> the stats cover that section:
+// its students, and the content assigned to it plus this teacher's content open to everyone.
+// ?term=<id>|active|all picks the term; by default content of closed terms is left out.
+router.get('/stats', protect, requirePermission('dashboard:teacher'), async (req, res) => {
   try {
+    const terms = await termFilter(req.query.term);
+    if (terms.error) {
+      return res.status(400).json({ success: false, message: terms.error });
+    }
+    let contentFilter = { createdBy: req.user.id };
+    let studentFilter = {};
+    if (req.query.section) {
+      const section = mongoose.Types.ObjectId.isValid(req.query.section) ? await Section.findById(req.query.section) : null;
+      if (!section) {
+        return res.status(404).json({ success: false, message: 'Section not found' });
+      }
+      if (!(await canManageSection(req, section))) {
+        return res.status(403).json({ success: false, message: 'Not authorized to view this section' });
+      }
+      contentFilter = { $or: [{ sections: section._id }, { createdBy: req.user.id, 'sections.0': { $exists: false } }] };
+      studentFilter = { student: { $in: section.students } };
+    }
+
+    contentFilter = { ...contentFilter, ...terms.filter };
+
     // Get all lessons created by this teacher
-    const lessons = await Lesson.find({ createdBy: req.user.id });
+    const lessons = await Lesson.find(contentFilter);
     const lessonIds = lessons.map(l => l._id);
 
     // Get all assignments created by this teacher
-    const assignments = await Assignment.find({ createdBy: req.user.id });
+    const assignments = await Assignment.find(contentFilter);
     const assignmentIds = assignments.map(a => a._id);
 
     // 1. Students viewing modules (students with progress on lessons)
     const studentsViewingModules = await Progress.distinct('student', {
       lesson: { $in: lessonIds },
-      status: { $in: ['in-progress', 'completed'] }
+      status: { $in: ['in-progress', 'completed'] },
+      ...studentFilter
     });
 
     // 2. Students submission of assignments
     const assignmentSubmissions = await Submission.countDocuments({
-      assignment: { $in: assignmentIds }
+      assignment: { $in: assignmentIds },
+      ...studentFilter
     });
 
     // 3. Students submission of quizzes (assignments with type 'quiz')
-    const quizAssignments = await Assignment.find({
-      createdBy: req.user.id,
-      type: 'quiz'
-    });
-    const quizAssignmentIds = quizAssignments.map(a => a._id);
+    const quizAssignmentIds = assignments.filter(a => a.type === 'quiz').map(a => a._id);
     const quizSubmissions = await Submission.countDocuments({
-      assignment: { $in: quizAssignmentIds }
+      assignment: { $in: quizAssignmentIds },
+      ...studentFilter
     });
 
     // 4. Students submission of projects (assignments with type 'mini-project' or 'major-project')
-    const projectAssignments = await Assignment.find({
-      createdBy: req.user.id,
-      type: { $in: ['mini-project', 'major-project'] }
-    });
-    const projectAssignmentIds = projectAssignments.map(a => a._id);
+    const projectAssignmentIds = assignments.filter(a => ['mini-project', 'major-project'].includes(a.type)).map(a => a._id);
     const projectSubmissions = await Submission.countDocuments({
-      assignment: { $in: projectAssignmentIds }
+      assignment: { $in: projectAssignmentIds },
+      ...studentFilter
     });
 
     // 5. Students submission of essays (assignments with type 'essay')
-    const essayAssignments = await Assignment.find({
-      createdBy: req.user.id,
-      type: 'essay'
-    });
-    const essayAssignmentIds = essayAssignments.map(a => a._id);
+    const essayAssignmentIds = assignments.filter(a => a.type === 'essay').map(a => a._id);
     const essaySubmissions = await Submission.countDocuments({
-      assignment: { $in: essayAssignmentIds }
+      assignment: { $in: essayAssignmentIds },
+      ...studentFilter
     });
 
     // Get time-series data for last 7 days
@@ -80,7 +99,8 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
       last7Days.map(async (day) => {
         const count = await Submission.countDocuments({
           assignment: { $in: assignmentIds },
-          submittedAt: { $gte: day.start, $lt: day.end }
+          submittedAt: { $gte: day.start, $lt: day.end },
+          ...studentFilter
         });
         return { date: day.date, value: count };
       })
@@ -90,7 +110,8 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
       last7Days.map(async (day) => {
         const count = await Submission.countDocuments({
           assignment: { $in: quizAssignmentIds },
-          submittedAt: { $gte: day.start, $lt: day.end }
+          submittedAt: { $gte: day.start, $lt: day.end },
+          ...studentFilter
         });
         return { date: day.date, value: count };
       })
@@ -100,7 +121,8 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
       last7Days.map(async (day) => {
         const count = await Submission.countDocuments({
           assignment: { $in: projectAssignmentIds },
-          submittedAt: { $gte: day.start, $lt: day.end }
+          submittedAt: { $gte: day.start, $lt: day.end },
+          ...studentFilter
         });
         return { date: day.date, value: count };
       })
@@ -110,7 +132,8 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
       last7Days.map(async (day) => {
         const count = await Submission.countDocuments({
           assignment: { $in: essayAssignmentIds },
-          submittedAt: { $gte: day.start, $lt: day.end }
+          submittedAt: { $gte: day.start, $lt: day.end },
+          ...studentFilter
         });
         return { date: day.date, value: count };
       })
@@ -122,7 +145,8 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
         const distinct = await Progress.distinct('student', {
           lesson: { $in: lessonIds },
           status: { $in: ['in-progress', 'completed'] },
-          updatedAt: { $gte: day.start, $lt: day.end }
+          updatedAt: { $gte: day.start, $lt: day.end },
+          ...studentFilter
         });
         return { date: day.date, value: distinct.length };
       })
@@ -153,18 +177,24 @@ router.get('/stats', protect, authorize('teacher', 'admin'), async (req, res) =>
   }
 });
 
-// Get dashboard stats for students
-router.get('/stats/student', protect, authorize('student'), async (req, res) => {
+// Get dashboard stats for students (?term= as for teachers)
+router.get('/stats/student', protect, requirePermission('dashboard:student'), async (req, res) => {
   try {
     const studentId = req.user.id;
+    const terms = await termFilter(req.query.term);
+    if (terms.error) {
+      return res.status(400).json({ success: false, message: terms.error });
+    }
 
-    // Get all lessons available to student
-    const allLessons = await Lesson.find({});
+    // Get all lessons available to student (open to everyone or assigned to their sections)
+    const visibility = await contentVisibility(req);
+    const allLessons = await Lesson.find({ ...terms.filter, ...(visibility && visibility.lessons) });
     const lessonIds = allLessons.map(l => l._id);
 
     // Get student's completed lessons from LessonView
     const completedLessonViews = await LessonView.find({ 
       student: studentId, 
+      lesson: { $in: lessonIds },
       completed: true 
     });
     const completedLessons = completedLessonViews.length;
@@ -174,12 +204,12 @@ router.get('/stats/student', protect, authorize('student'), async (req, res) =>
     const inProgressLessons = studentProgress.filter(p => p.status === 'in-progress').length;
     const totalLessons = allLessons.length;
 
-    // Get all assignments
-    const allAssignments = await Assignment.find({});
+    // Get all assignments available to student
+    const allAssignments = await Assignment.find({ ...terms.filter, ...(visibility && visibility.assignments) });
     const assignmentIds = allAssignments.map(a => a._id);
 
     // Get student's submissions
-    const studentSubmissions = await Submission.find({ student: studentId });
+    const studentSubmissions = await Submission.find({ ...terms.filter, student: studentId });
     const totalSubmissions = studentSubmissions.length;
     const gradedSubmissions = studentSubmissions.filter(s => s.isGraded && s.grade !== null && s.grade !== undefined);
     
@@ -2,12 +2,12 @@
 const express = require('express');
 const Folder = require('../models/Folder');
 const Lesson = require('../models/Lesson');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Create folder
-router.post('/', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.post('/', protect, requirePermission('folder:create'), async (req, res) => {
   try {
     const { name, parent } = req.body;
     const folder = await Folder.create({
@@ -0,0 +1,392 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const GuardianLink = require('../models/GuardianLink');
+const GuardianCode = require('../models/GuardianCode');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Lesson = require('../models/Lesson');
+const LessonView = require('../models/LessonView');
+const Progress = require('../models/Progress');
+const Assignment = require('../models/Assignment');
+const Activity = require('../models/Activity');
+const Submission = require('../models/Submission');
+const Message = require('../models/Message');
+const { protect, requirePermission } = require('../middleware/auth');
+const { visibilityForStudent } = require('../utils/sections');
+const rateLimit = require('express-rate-limit');
+
+const LINK_CODE_TTL_HOURS = 48;
+const STUDENT_FIELDS = '_id idNumber firstName lastName email department profilePicture';
+
+// Link codes are short, so limit how fast one account can try them
+const redeemLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.user.id,
+  message: { success: false, message: 'Too many attempts, please try again later' },
+});
+
+// Only students can hand out link codes and see who follows them
+const studentOnly = (req, res, next) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ success: false, message: 'Only students can do this' });
+  }
+  next();
+};
+
+// Load req.params.studentId after checking the guardian has an approved link to them
+const linkedStudent = async (req, res, next) => {
+  try {
+    const link = mongoose.Types.ObjectId.isValid(req.params.studentId)
+      ? await GuardianLink.findOne({ guardian: req.user.id, student: req.params.studentId, status: 'approved' })
+      : null;
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Student not found among your linked students' });
+    }
+    req.student = await User.findById(req.params.studentId).select(STUDENT_FIELDS);
+    if (!req.student) {
+      return res.status(404).json({ success: false, message: 'Student not found among your linked students' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking guardian link:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ---- Student side ----
+
+// @route   POST /api/guardians/code
+// @desc    Generate a single-use code a guardian can enter to link to this student.
+//          Replaces any earlier code.
+// @access  Private (students)
+router.post('/code', protect, studentOnly, async (req, res) => {
+  try {
+    await GuardianCode.deleteOne({ student: req.user.id });
+
+    let linkCode;
+    for (let attempt = 0; attempt < 5 && !linkCode; attempt++) {
+      const code = Invitation.generateCode(8);
+      if (await GuardianCode.exists({ code })) continue;
+      linkCode = await GuardianCode.create({
+        student: req.user.id,
+        code,
+        expiresAt: new Date(Date.now() + LINK_CODE_TTL_HOURS * 60 * 60 * 1000),
+      });
+    }
+
+    if (!linkCode) {
+      return res.status(500).json({ success: false, message: 'Could not generate a unique code' });
+    }
+
+    res.status(201).json({ success: true, code: linkCode.code, expiresAt: linkCode.expiresAt });
+  } catch (error) {
+    console.error('Error creating guardian code:', error);
+    res.status(500).json({ success: false, message: 'Failed to create code' });
+  }
+});
+
+// @route   GET /api/guardians/my-guardians
+// @desc    Guardians linked to (or asking to link to) the current student
+// @access  Private (students)
+router.get('/my-guardians', protect, studentOnly, async (req, res) => {
+  try {
+    const links = await GuardianLink.find({ student: req.user.id, status: { $in: ['pending', 'approved'] } })
+      .populate('guardian', '_id firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: links.length, links });
+  } catch (error) {
+    console.error('Error fetching guardians:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch guardians' });
+  }
+});
+
+// ---- Guardian side ----
+
+// @route   POST /api/guardians/links
+// @desc    Ask to follow a student by their ID number; an admin approves the request
+// @access  Private (guardian:view)
+router.post('/links', protect, requirePermission('guardian:view'), async (req, res) => {
+  try {
+    const { studentIdNumber, relationship, note } = req.body;
+    if (!studentIdNumber) {
+      return res.status(400).json({ success: false, message: 'studentIdNumber is required' });
+    }
+
+    const student = await User.findOne({ idNumber: String(studentIdNumber).trim(), role: 'student' });
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'No student with this ID number' });
+    }
+
+    const existing = await GuardianLink.findOne({ guardian: req.user.id, student: student._id });
+    if (existing && ['pending', 'approved'].includes(existing.status)) {
+      return res.status(400).json({ success: false, message: `A link to this student is already ${existing.status}` });
+    }
+
+    // Asking again after a rejection or removal starts a fresh request
+    const link = existing || new GuardianLink({ guardian: req.user.id, student: student._id });
+    link.set({
+      status: 'pending',
+      method: 'request',
+      relationship,
+      note,
+      reviewedBy: undefined,
+      reviewedAt: undefined,
+      reviewNote: undefined,
+      revokedBy: undefined,
+      revokedAt: undefined,
+    });
+    await link.save();
+
+    res.status(201).json({ success: true, message: 'Link requested. An admin will review it.', link });
+  } catch (error) {
+    console.error('Error requesting guardian link:', error);
+    res.status(500).json({ success: false, message: 'Failed to request link' });
+  }
+});
+
+// @route   POST /api/guardians/links/redeem
+// @desc    Link to a student straight away with the code they generated
+// @access  Private (guardian:view)
+router.post('/links/redeem', protect, redeemLimiter, requirePermission('guardian:view'), async (req, res) => {
+  try {
+    const { code, relationship } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    // Codes are single use: take it atomically
+    const linkCode = await GuardianCode.findOneAndDelete({
+      code: String(code).trim().toUpperCase(),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!linkCode) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired code' });
+    }
+
+    const link = await GuardianLink.findOneAndUpdate(
+      { guardian: req.user.id, student: linkCode.student },
+      {
+        status: 'approved',
+        method: 'code',
+        relationship,
+        reviewedAt: new Date(),
+        $unset: { reviewedBy: 1, reviewNote: 1, revokedBy: 1, revokedAt: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).populate('student', STUDENT_FIELDS);
+
+    res.json({ success: true, message: 'Student linked', link });
+  } catch (error) {
+    console.error('Error redeeming guardian code:', error);
+    res.status(500).json({ success: false, message: 'Failed to link student' });
+  }
+});
+
+// @route   GET /api/guardians/links
+// @desc    The current guardian's links and requests
+// @access  Private (guardian:view)
+router.get('/links', protect, requirePermission('guardian:view'), async (req, res) => {
+  try {
+    const links = await GuardianLink.find({ guardian: req.user.id })
+      .populate('student', STUDENT_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: links.length, links });
+  } catch (error) {
+    console.error('Error fetching guardian links:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch links' });
+  }
+});
+
+// @route   DELETE /api/guardians/links/:id
+// @desc    Remove a link. Either the guardian or the student can do this.
+// @access  Private
+router.delete('/links/:id', protect, async (req, res) => {
+  try {
+    const link = mongoose.Types.ObjectId.isValid(req.params.id) ? await GuardianLink.findById(req.params.id) : null;
+    if (!link || ![link.guardian.toString(), link.student.toString()].includes(req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Link not found' });
+    }
+
+    if (link.status !== 'revoked') {
+      link.status = 'revoked';
+      link.revokedBy = req.user.id;
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({ success: true, message: 'Link removed', link });
+  } catch (error) {
+    console.error('Error removing guardian link:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove link' });
+  }
+});
+
+// ---- Read-only views of a linked student ----
+
+// @route   GET /api/guardians/students
+// @desc    Students the current guardian is linked to
+// @access  Private (guardian:view)
+router.get('/students', protect, requirePermission('guardian:view'), async (req, res) => {
+  try {
+    const links = await GuardianLink.find({ guardian: req.user.id, status: 'approved' })
+      .populate('student', STUDENT_FIELDS);
+
+    const students = links
+      .filter((link) => link.student)
+      .map((link) => ({ ...link.student.toObject(), relationship: link.relationship, linkId: link._id }));
+
+    res.json({ success: true, count: students.length, students });
+  } catch (error) {
+    console.error('Error fetching linked students:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch students' });
+  }
+});
+
+// @route   GET /api/guardians/students/:studentId/progress
+// @desc    Lesson completion for a linked student
+// @access  Private (guardian:view)
+router.get('/students/:studentId/progress', protect, requirePermission('guardian:view'), linkedStudent, async (req, res) => {
+  try {
+    const studentId = req.student._id;
+    const visibility = await visibilityForStudent(studentId);
+    const [totalLessons, views, progress] = await Promise.all([
+      Lesson.countDocuments(visibility.lessons),
+      LessonView.find({ student: studentId }).populate('lesson', 'title').sort({ lastViewedAt: -1 }),
+      Progress.find({ student: studentId, lesson: { $ne: null } }).populate('lesson', 'title'),
+    ]);
+
+    const lessons = views
+      .filter((view) => view.lesson)
+      .map((view) => ({
+        lesson: { _id: view.lesson._id, title: view.lesson.title },
+        completed: view.completed,
+        completedAt: view.completedAt || null,
+        lastViewedAt: view.lastViewedAt,
+      }));
+
+    res.json({
+      success: true,
+      student: req.student,
+      data: {
+        totalLessons,
+        completedLessons: lessons.filter((l) => l.completed).length,
+        inProgressLessons: progress.filter((p) => p.status === 'in-progress').length,
+        lessons,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching student progress for guardian:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch progress' });
+  }
+});
+
+// @route   GET /api/guardians/students/:studentId/grades
+// @desc    Graded and submitted work for a linked student
+// @access  Private (guardian:view)
+router.get('/students/:studentId/grades', protect, requirePermission('guardian:view'), linkedStudent, async (req, res) => {
+  try {
+    const studentId = req.student._id;
+    const [submissions, activities] = await Promise.all([
+      Submission.find({ student: studentId }).populate('assignment', 'title type dueDate totalPoints').sort({ submittedAt: -1 }),
+      Activity.find({ 'submissions.student': studentId }).select('title dueDate submissions'),
+    ]);
+
+    const assignmentGrades = submissions.map((s) => ({
+      type: 'assignment',
+      _id: s._id,
+      title: s.assignment ? s.assignment.title : 'Deleted assignment',
+      assignmentType: s.assignment ? s.assignment.type : undefined,
+      dueDate: s.assignment ? s.assignment.dueDate : undefined,
+      submittedAt: s.submittedAt,
+      isGraded: !!s.isGraded,
+      grade: s.grade,
+      totalScore: s.totalScore,
+      gradePercentage: s.gradePercentage,
+      feedback: s.feedback,
+      gradedAt: s.gradedAt,
+    }));
+
+    const activityGrades = activities.flatMap((activity) => activity.submissions
+      .filter((s) => s.student && s.student.toString() === studentId.toString())
+      .map((s) => ({
+        type: 'activity',
+        _id: s._id,
+        title: activity.title,
+        dueDate: activity.dueDate,
+        submittedAt: s.submittedAt,
+        isGraded: s.grade !== undefined && s.grade !== null,
+        grade: s.grade,
+        feedback: s.feedback,
+      })));
+
+    res.json({ success: true, student: req.student, grades: [...assignmentGrades, ...activityGrades] });
+  } catch (error) {
+    console.error('Error fetching student grades for guardian:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch grades' });
+  }
+});
+
+// @route   GET /api/guardians/students/:studentId/upcoming
+// @desc    Assignments and activities due in the next ?days= (default 14) that the
+//          linked student has not submitted yet (only assignments the student can see)
+// @access  Private (guardian:view)
+router.get('/students/:studentId/upcoming', protect, requirePermission('guardian:view'), linkedStudent, async (req, res) => {
+  try {
+    const studentId = req.student._id;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+    const dueWindow = { $gte: new Date(), $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+
+    const visibility = await visibilityForStudent(studentId);
+    const [assignments, activities, submitted] = await Promise.all([
+      Assignment.find({ ...visibility.assignments, dueDate: dueWindow }).select('title type dueDate'),
+      Activity.find({ ...visibility.activities, dueDate: dueWindow, 'submissions.student': { $ne: studentId } }).select('title dueDate'),
+      Submission.find({ student: studentId }).distinct('assignment'),
+    ]);
+
+    const submittedIds = new Set(submitted.map((id) => id.toString()));
+    const upcoming = [
+      ...assignments
+        .filter((a) => !submittedIds.has(a._id.toString()))
+        .map((a) => ({ type: 'assignment', _id: a._id, title: a.title, assignmentType: a.type, dueDate: a.dueDate })),
+      ...activities.map((a) => ({ type: 'activity', _id: a._id, title: a.title, dueDate: a.dueDate })),
+    ].sort((a, b) => a.dueDate - b.dueDate);
+
+    res.json({ success: true, student: req.student, days, upcoming });
+  } catch (error) {
+    console.error('Error fetching upcoming work for guardian:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch upcoming work' });
+  }
+});
+
+// @route   GET /api/guardians/students/:studentId/messages
+// @desc    Messages between a linked student and their teachers, newest first (?limit=, max 200)
+// @access  Private (guardian:view)
+router.get('/students/:studentId/messages', protect, requirePermission('guardian:view'), linkedStudent, async (req, res) => {
+  try {
+    const studentId = req.student._id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const teachers = await User.find({ role: 'teacher' }).distinct('_id');
+    const messages = await Message.find({
+      $or: [
+        { senderId: studentId, receiverId: { $in: teachers } },
+        { receiverId: studentId, senderId: { $in: teachers } },
+      ],
+    })
+      .populate('senderId', '_id firstName lastName role')
+      .populate('receiverId', '_id firstName lastName role')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, student: req.student, count: messages.length, messages });
+  } catch (error) {
+    console.error('Error fetching student messages for guardian:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch messages' });
+  }
+});
+
+module.exports = router;
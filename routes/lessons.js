@@ -1,12 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Lesson = require('../models/Lesson');
+const LessonRevision = require('../models/LessonRevision');
+const Module = require('../models/Module');
+const Section = require('../models/Section');
 const LessonView = require('../models/LessonView');
 const Progress = require('../models/Progress');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { canActOn } = require('../utils/permissions');
+const { contentVisibility, myClassesFilters, resolveSectionInput, sectionStudentIds } = require('../utils/sections');
+const { recordAudit } = require('../utils/audit');
+const { isTermClosed, rejectIfTermClosed, termFilter } = require('../utils/terms');
+const { releasedFilter, readPublishingInput } = require('../utils/publishing');
+const {
+  lessonSnapshot, diffSnapshots, recordLessonRevision, deletedFileKeys, revisionOnlyFiles,
+} = require('../utils/lessonRevisions');
+const { readOffsetDays, resolveOwner, newReport, cloneLesson } = require('../utils/cloning');
 const multer = require('multer');
 const streamifier = require('streamifier');
 const { storage, cloudinary, hasCloudinary } = require('../config/cloudinary');
@@ -176,7 +189,7 @@ const uploadLimiter = rateLimit({ windowMs: 60 * 1000, max: 10, message: 'Too ma
 
 // Create a lesson (teachers or admins)
 // Accepts multipart/form-data with optional files under `files`
-router.post('/', uploadLimiter, protect, authorize('teacher', 'admin'), async (req, res) => {
+router.post('/', uploadLimiter, protect, requirePermission('lesson:create'), async (req, res) => {
   // Pick parser: when Cloudinary is enabled, parse into memory so we can stream buffers
   // When Cloudinary is not enabled, use configured storage (disk) so files are saved to disk
   // Add limits: 50MB per file, up to 20 files, 10MB for cover photo
@@ -226,6 +239,13 @@ router.post('/', uploadLimiter, protect, authorize('teacher', 'admin'), async (r
         }
       }
 
+      const sectionInput = await resolveSectionInput(req, req.body.sections);
+      if (sectionInput.error) return res.status(400).json({ success: false, message: sectionInput.error });
+
+      // Draft or published, and an optional release window
+      const publishing = readPublishingInput(req.body);
+      if (publishing.error) return res.status(400).json({ success: false, message: publishing.error });
+
       const files = [];
 
       if (req.files && req.files.files && req.files.files.length) {
@@ -346,6 +366,8 @@ router.post('/', uploadLimiter, protect, authorize('teacher', 'admin'), async (r
         category: category || 'e-module',
         module: module || null,
         coverPhoto: coverPhotoUrl,
+        sections: sectionInput.sectionIds,
+        ...publishing.values,
         createdBy: req.user.id 
       });
       await lesson.save();
@@ -359,11 +381,27 @@ router.post('/', uploadLimiter, protect, authorize('teacher', 'admin'), async (r
   });
 });
 
-// List lessons (public)
+// List lessons (public). Students only get released lessons open to everyone or
+// assigned to one of their sections, and other users only see drafts and scheduled
+// lessons they wrote unless they have content:manage-any; ?section=<id> lists the lessons assigned to a section and
+// ?myClasses=true the lessons of the caller's own sections. ?term=<id>|active|all
+// picks the term; by default lessons of closed terms are left out.
 router.get('/', protect, async (req, res) => {
   try {
-    const { category, module } = req.query;
-    const query = {};
+    const { category, module, section } = req.query;
+    const terms = await termFilter(req.query.term);
+    if (terms.error) return res.status(400).json({ success: false, message: terms.error });
+    const query = { ...terms.filter, $and: [] };
+    const visibility = await contentVisibility(req);
+    if (visibility) query.$and.push(visibility.lessons);
+    if (req.query.myClasses === 'true') query.$and.push((await myClassesFilters(req)).lessons);
+    if (!query.$and.length) delete query.$and;
+    if (section) {
+      if (!mongoose.Types.ObjectId.isValid(section)) {
+        return res.status(400).json({ success: false, message: 'Invalid section id' });
+      }
+      query.sections = section;
+    }
     
     // If module is specified, STRICTLY filter by it (highest priority)
     if (module) {
@@ -387,7 +425,8 @@ router.get('/', protect, async (req, res) => {
     
     const lessons = await Lesson.find(query)
       .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio')
-      .populate('module', '_id title moduleNumber category');
+      .populate('module', '_id title moduleNumber category')
+      .populate('sections', '_id name');
     res.json({ success: true, data: lessons });
   } catch (error) {
     console.error(error);
@@ -395,10 +434,10 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Get lesson count (public endpoint for home page stats)
+// Get lesson count (public endpoint for home page stats). Only released lessons count.
 router.get('/count', async (req, res) => {
   try {
-    const count = await Lesson.countDocuments();
+    const count = await Lesson.countDocuments(releasedFilter());
     res.json({ success: true, data: { count } });
   } catch (error) {
     console.error('Error fetching lesson count:', error);
@@ -409,9 +448,11 @@ router.get('/count', async (req, res) => {
 // Get single lesson
 router.get('/:id', protect, async (req, res) => {
   try {
-    const lesson = await Lesson.findById(req.params.id)
+    const visibility = await contentVisibility(req);
+    const lesson = await Lesson.findOne({ _id: req.params.id, ...(visibility && visibility.lessons) })
       .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio')
-      .populate('module', '_id title moduleNumber category');
+      .populate('module', '_id title moduleNumber category')
+      .populate('sections', '_id name');
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
     res.json({ success: true, data: lesson });
   } catch (error) {
@@ -426,14 +467,17 @@ router.delete('/:id', protect, async (req, res) => {
     const lesson = await Lesson.findById(req.params.id);
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
 
-    // Authorization: admin or owner
-    if (req.user.role !== 'admin' && lesson.createdBy?.toString() !== req.user.id) {
+    // Authorization: owner, or a role that may manage others' content
+    if (!req.can('lesson:delete') || !(await canActOn(req, 'content:manage-any', lesson.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this lesson' });
     }
+    if (await rejectIfTermClosed(res, lesson)) return;
 
-    // Delete files from Cloudinary if present
-    if (lesson.files && lesson.files.length) {
-      for (const f of lesson.files) {
+    // Delete files from Cloudinary if present, including files and cover photos only older
+    // revisions still use
+    const files = [...(lesson.files || []), ...(await revisionOnlyFiles([lesson]))];
+    if (files.length) {
+      for (const f of files) {
         try {
           if (f.public_id && cloudinary) {
             await cloudinary.uploader.destroy(f.public_id);
@@ -445,6 +489,11 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     await lesson.deleteOne();
+    await LessonRevision.deleteMany({ lesson: lesson._id });
+    await recordAudit(req, {
+      action: 'lesson.delete', targetType: 'Lesson', targetId: lesson._id, targetLabel: lesson.title,
+      metadata: { createdBy: lesson.createdBy, module: lesson.module, files: (lesson.files || []).length },
+    });
     res.json({ success: true, message: 'Lesson deleted' });
   } catch (error) {
     console.error(error);
@@ -454,16 +503,17 @@ router.delete('/:id', protect, async (req, res) => {
 
 // Delete a specific file from a lesson
 // DELETE /api/lessons/:lessonId/files/:fileId
-router.delete('/:lessonId/files/:fileId', protect, authorize('teacher','admin'), async (req, res) => {
+router.delete('/:lessonId/files/:fileId', protect, requirePermission('lesson:edit'), async (req, res) => {
   try {
     const { lessonId, fileId } = req.params;
     const lesson = await Lesson.findById(lessonId);
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
 
-    // only admin or owner
-    if (req.user.role !== 'admin' && lesson.createdBy?.toString() !== req.user.id) {
+    // only the owner or a role that may manage others' content
+    if (!(await canActOn(req, 'content:manage-any', lesson.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to modify this lesson' });
     }
+    if (await rejectIfTermClosed(res, lesson)) return;
 
     // Try to find file using .id() method first, then fallback to array find
     let file = null;
@@ -477,6 +527,7 @@ router.delete('/:lessonId/files/:fileId', protect, authorize('teacher','admin'),
     if (!file) {
       return res.status(404).json({ success: false, message: 'File not found in lesson' });
     }
+    const before = lessonSnapshot(lesson);
 
     // attempt to delete from Cloudinary if public_id present
     if (file.public_id && cloudinary) {
@@ -508,6 +559,7 @@ router.delete('/:lessonId/files/:fileId', protect, authorize('teacher','admin'),
     }
     
     await lesson.save();
+    await recordLessonRevision(req, lesson, before, { action: 'file-delete' });
 
     res.json({ success: true, message: 'File removed', data: lesson });
   } catch (err) {
@@ -526,7 +578,7 @@ router.delete('/:lessonId/files/:fileId', protect, authorize('teacher','admin'),
 });
 
 // Update lesson (only admin or owner). Accepts multipart with new files to append.
-router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('lesson:edit'), async (req, res) => {
   // Use same parser logic as POST route
   const memOpts = { storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024, files: 20 } };
   const diskOpts = { storage, limits: { fileSize: 50 * 1024 * 1024, files: 20 } };
@@ -546,9 +598,11 @@ router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
       const lesson = await Lesson.findById(req.params.id);
       if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
 
-      if (req.user.role !== 'admin' && lesson.createdBy?.toString() !== req.user.id) {
+      if (!(await canActOn(req, 'content:manage-any', lesson.createdBy))) {
         return res.status(403).json({ success: false, message: 'Not authorized to edit this lesson' });
       }
+      if (await rejectIfTermClosed(res, lesson)) return;
+      const before = lessonSnapshot(lesson);
 
       const { title, description, youtubeLink, iframeUrl, iframeTitle, category, module } = req.body;
       
@@ -576,6 +630,16 @@ router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
           console.warn('Failed to parse links on update:', e.message);
         }
       }
+
+      if (req.body.sections !== undefined) {
+        const sectionInput = await resolveSectionInput(req, req.body.sections);
+        if (sectionInput.error) return res.status(400).json({ success: false, message: sectionInput.error });
+        lesson.sections = sectionInput.sectionIds;
+      }
+
+      const publishing = readPublishingInput(req.body, lesson);
+      if (publishing.error) return res.status(400).json({ success: false, message: publishing.error });
+      lesson.set(publishing.values);
       
       if (title !== undefined && title !== null) lesson.title = title;
       if (description !== undefined) lesson.description = description;
@@ -699,16 +763,8 @@ router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
         let coverPhotoUrl = '';
         if (hasCloudinary) {
           try {
-            // Delete old cover photo if exists
-            if (lesson.coverPhoto) {
-              const oldPublicId = lesson.coverPhoto.split('/').slice(-2).join('/').split('.')[0];
-              try {
-                await cloudinary.uploader.destroy(oldPublicId);
-              } catch (err) {
-                console.warn('Failed to delete old cover photo:', err);
-              }
-            }
-
+            // The old cover photo is kept: earlier revisions still use it. It is removed
+            // with the lesson (see revisionOnlyFiles).
             const uploaded = await uploadBufferToCloudinary(coverFile.buffer, coverFile.originalname, 'ttls_lessons');
             coverPhotoUrl = uploaded.secure_url;
           } catch (uploadErr) {
@@ -736,6 +792,7 @@ router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
       });
 
       const saveResult = await lesson.save();
+      await recordLessonRevision(req, lesson, before);
       
       // Log AFTER save - immediately from memory
       console.log('After save - lesson in memory:', {
@@ -787,10 +844,219 @@ router.put('/:id', protect, authorize('teacher','admin'), async (req, res) => {
   });
 });
 
+// Load req.params.id into req.lesson for its author or a content:manage-any holder
+const editableLesson = async (req, res, next) => {
+  try {
+    const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+    if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
+    if (!(await canActOn(req, 'content:manage-any', lesson.createdBy))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to edit this lesson' });
+    }
+    req.lesson = lesson;
+    next();
+  } catch (error) {
+    console.error('Error loading lesson:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const findRevision = (lesson, revisionId) => (mongoose.Types.ObjectId.isValid(revisionId)
+  ? LessonRevision.findOne({ _id: revisionId, lesson: lesson._id }).populate('editedBy', '_id firstName lastName idNumber role')
+  : null);
+
+// List a lesson's revisions, newest first, with the file lists but not the full content
+// GET /api/lessons/:id/revisions
+router.get('/:id/revisions', protect, requirePermission('lesson:edit'), editableLesson, async (req, res) => {
+  try {
+    const revisions = await LessonRevision.find({ lesson: req.lesson._id })
+      .select('number action editedBy changedFields restoredFrom restoredState createdAt before.files after.files')
+      .populate('editedBy', '_id firstName lastName idNumber role')
+      .sort({ number: -1 });
+
+    const data = revisions.map((revision) => {
+      const { before, after, ...rest } = revision.toObject();
+      return { ...rest, filesBefore: (before && before.files) || [], filesAfter: (after && after.files) || [] };
+    });
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error('List lesson revisions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch revisions' });
+  }
+});
+
+// A revision with the lesson's content before and after that save
+// GET /api/lessons/:id/revisions/:revisionId
+router.get('/:id/revisions/:revisionId', protect, requirePermission('lesson:edit'), editableLesson, async (req, res) => {
+  try {
+    const revision = await findRevision(req.lesson, req.params.revisionId);
+    if (!revision) return res.status(404).json({ success: false, message: 'Revision not found' });
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    console.error('Get lesson revision error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch revision' });
+  }
+});
+
+// Diff a revision. By default: what that save changed. ?against=current compares the
+// revision with the lesson as it is now, ?against=<revisionId> with another revision.
+// GET /api/lessons/:id/revisions/:revisionId/diff
+router.get('/:id/revisions/:revisionId/diff', protect, requirePermission('lesson:edit'), editableLesson, async (req, res) => {
+  try {
+    const revision = await findRevision(req.lesson, req.params.revisionId);
+    if (!revision) return res.status(404).json({ success: false, message: 'Revision not found' });
+
+    let from = { revision: revision._id, number: revision.number, state: 'before', content: revision.before };
+    let to = { revision: revision._id, number: revision.number, state: 'after', content: revision.after };
+    const { against } = req.query;
+    if (against === 'current') {
+      from = to;
+      to = { state: 'current', content: lessonSnapshot(req.lesson) };
+    } else if (against) {
+      const other = await findRevision(req.lesson, against);
+      if (!other) return res.status(404).json({ success: false, message: 'Revision to compare against not found' });
+      from = { revision: other._id, number: other.number, state: 'after', content: other.after };
+    }
+
+    const { content: fromContent, ...fromInfo } = from;
+    const { content: toContent, ...toInfo } = to;
+    res.json({ success: true, data: { from: fromInfo, to: toInfo, ...diffSnapshots(fromContent, toContent) } });
+  } catch (error) {
+    console.error('Diff lesson revision error:', error);
+    res.status(500).json({ success: false, message: 'Failed to diff revision' });
+  }
+});
+
+// Restore the lesson to a revision: the content as that save left it, or with
+// { "state": "before" } as it was just before. The restore is saved as a new
+// revision, so the version it replaces can be restored again.
+// POST /api/lessons/:id/revisions/:revisionId/restore
+router.post('/:id/revisions/:revisionId/restore', protect, requirePermission('lesson:edit'), editableLesson, async (req, res) => {
+  try {
+    const lesson = req.lesson;
+    if (await rejectIfTermClosed(res, lesson)) return;
+
+    const state = req.body.state || 'after';
+    if (!['before', 'after'].includes(state)) {
+      return res.status(400).json({ success: false, message: 'state must be before or after' });
+    }
+    const revision = await findRevision(lesson, req.params.revisionId);
+    if (!revision) return res.status(404).json({ success: false, message: 'Revision not found' });
+
+    const target = revision[state] || {};
+    const before = lessonSnapshot(lesson);
+
+    // Files deleted since cannot come back, and a module or sections deleted since are dropped
+    const deleted = await deletedFileKeys(lesson._id);
+    const targetFiles = target.files || [];
+    const files = targetFiles.filter((f) => !deleted.has(String(f._id || f.url)));
+    const skippedFiles = targetFiles.filter((f) => deleted.has(String(f._id || f.url)));
+    const module = target.module && (await Module.exists({ _id: target.module })) ? target.module : null;
+    const sections = (target.sections || []).length
+      ? await Section.find({ _id: { $in: target.sections } }).distinct('_id')
+      : [];
+
+    for (const field of ['title', 'description', 'youtubeLink', 'iframeUrl', 'iframeTitle', 'category', 'coverPhoto', 'links', 'status', 'publishAt', 'availableUntil']) {
+      if (target[field] !== undefined) lesson.set(field, target[field]);
+    }
+    lesson.files = files;
+    lesson.module = module;
+    lesson.folder = module;
+    lesson.sections = sections;
+    // With all its sections gone the lesson would be open to every student
+    if ((target.sections || []).length && !sections.length) lesson.status = 'draft';
+    await lesson.save();
+
+    const restored = await recordLessonRevision(req, lesson, before, {
+      action: 'restore', restoredFrom: revision._id, restoredState: state,
+    });
+    if (restored) {
+      await recordAudit(req, {
+        action: 'lesson.restore', targetType: 'Lesson', targetId: lesson._id, targetLabel: lesson.title,
+        metadata: { revision: revision.number, state, newRevision: restored.number, changedFields: restored.changedFields },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: restored ? `Lesson restored to revision ${revision.number}` : 'The lesson already matches this revision',
+      data: lesson,
+      revision: restored,
+      skippedFiles,
+    });
+  } catch (error) {
+    console.error('Restore lesson revision error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore revision' });
+  }
+});
+
+// Copy a lesson with its links, files and assignments. Body: module (a module you can
+// edit; defaults to the lesson's own module when you can edit it, "" for none), title,
+// dueDateOffsetDays (shifts due dates and release windows), teacher (with
+// content:manage-any, the teacher who gets the copy). The copies start as drafts.
+// POST /api/lessons/:id/clone
+router.post('/:id/clone', protect, requirePermission('lesson:create'), async (req, res) => {
+  try {
+    const visibility = await contentVisibility(req);
+    const source = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Lesson.findOne({ _id: req.params.id, ...(visibility && visibility.lessons) })
+      : null;
+    if (!source) return res.status(404).json({ success: false, message: 'Lesson not found' });
+
+    const offset = readOffsetDays(req.body.dueDateOffsetDays);
+    if (offset.error) return res.status(400).json({ success: false, message: offset.error });
+    const owner = await resolveOwner(req, req.body.teacher);
+    if (owner.error) return res.status(owner.status).json({ success: false, message: owner.error });
+
+    let moduleId = null;
+    if (req.body.module) {
+      const target = mongoose.Types.ObjectId.isValid(req.body.module) ? await Module.findById(req.body.module) : null;
+      if (!target) return res.status(400).json({ success: false, message: 'Module not found' });
+      if (!(await canActOn(req, 'content:manage-any', target.createdBy))) {
+        return res.status(403).json({ success: false, message: 'Not authorized to add lessons to this module' });
+      }
+      if (await rejectIfTermClosed(res, target)) return;
+      moduleId = target._id;
+    } else if (req.body.module === undefined && source.module) {
+      const current = await Module.findById(source.module);
+      if (current && (await canActOn(req, 'content:manage-any', current.createdBy)) && !(await isTermClosed(current))) {
+        moduleId = current._id;
+      }
+    }
+
+    const report = newReport();
+    const copy = await cloneLesson(source, {
+      ownerId: owner.ownerId,
+      moduleId,
+      title: req.body.title ? String(req.body.title).trim() : undefined,
+      offsetDays: offset.days,
+      visibility,
+      report,
+    });
+    const { skippedFiles, ...copied } = report;
+    await recordAudit(req, {
+      action: 'lesson.clone', targetType: 'Lesson', targetId: copy._id, targetLabel: copy.title,
+      metadata: { source: source._id, owner: owner.ownerId, module: moduleId, dueDateOffsetDays: offset.days, copied, skippedFiles: skippedFiles.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: skippedFiles.length ? `Lesson copied, but ${skippedFiles.length} file(s) could not be copied` : 'Lesson copied',
+      data: copy,
+      copied,
+      skippedFiles,
+    });
+  } catch (error) {
+    console.error('Clone lesson error:', error);
+    res.status(500).json({ success: false, message: 'Failed to copy lesson' });
+  }
+});
+
 // Track lesson view (when student views lesson)
 router.post('/:id/view', protect, async (req, res) => {
   try {
-    const lesson = await Lesson.findById(req.params.id);
+    // Only lessons the student can see: not drafts, scheduled or other sections' lessons
+    const visibility = await contentVisibility(req);
+    const lesson = await Lesson.findOne({ _id: req.params.id, ...(visibility && visibility.lessons) });
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
     
     if (req.user.role !== 'student') {
@@ -835,12 +1101,14 @@ router.get('/:id/completion-status', protect, async (req, res) => {
 // Mark lesson as complete (student only)
 router.post('/:id/complete', protect, async (req, res) => {
   try {
-    const lesson = await Lesson.findById(req.params.id);
+    const visibility = await contentVisibility(req);
+    const lesson = await Lesson.findOne({ _id: req.params.id, ...(visibility && visibility.lessons) });
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
     
     if (req.user.role !== 'student') {
       return res.status(403).json({ success: false, message: 'Only students can mark lessons complete' });
     }
+    if (await rejectIfTermClosed(res, lesson)) return;
     
     // Find or create LessonView for this student-lesson pair
     let lessonView = await LessonView.findOne({ lesson: req.params.id, student: req.user.id });
@@ -880,39 +1148,54 @@ router.post('/:id/complete', protect, async (req, res) => {
 });
 
 // Get lesson analytics (teacher/admin only)
-router.get('/:id/analytics', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.get('/:id/analytics', protect, requirePermission('analytics:view'), async (req, res) => {
   try {
     const lesson = await Lesson.findById(req.params.id);
     if (!lesson) return res.status(404).json({ success: false, message: 'Lesson not found' });
     
-    // Check if user is the creator or admin
-    if (req.user.role !== 'admin' && lesson.createdBy?.toString() !== req.user.id) {
+    // Check if user is the creator or may view analytics for other lessons
+    if (!(await canActOn(req, 'analytics:view-any', lesson.createdBy))) {
       return res.status(403).json({ success: false, message: 'Not authorized to view analytics' });
     }
     
-    // Get all students (enrolled students - all students in the system for now)
-    const allStudents = await User.find({ role: 'student', status: 'approved' }).select('_id firstName lastName idNumber');
+    // The class: students of ?section= (one of the lesson's sections), else of every
+    // section the lesson is assigned to. A lesson open to everyone counts every
+    // approved student. Department-scoped roles only see their own department's students.
+    if (req.query.section && !mongoose.Types.ObjectId.isValid(req.query.section)) {
+      return res.status(400).json({ success: false, message: 'Invalid section id' });
+    }
+    const sectionIds = req.query.section ? [req.query.section] : lesson.sections;
+    if (req.query.section && lesson.sections.length && !lesson.sections.some((id) => id.toString() === req.query.section)) {
+      return res.status(400).json({ success: false, message: 'The lesson is not assigned to this section' });
+    }
+    const studentQuery = { role: 'student', status: 'approved' };
+    if (sectionIds.length) studentQuery._id = { $in: await sectionStudentIds(sectionIds) };
+    if (req.permissionScope.department !== null) studentQuery.department = req.permissionScope.department;
+    const allStudents = await User.find(studentQuery).select('_id firstName lastName idNumber');
+    // Views, submissions and progress only count the class when the lesson has sections
+    const classFilter = sectionIds.length ? { student: { $in: allStudents.map((s) => s._id) } } : {};
     
     // Get lesson views
-    const lessonViews = await LessonView.find({ lesson: req.params.id })
+    const lessonViews = await LessonView.find({ lesson: req.params.id, ...classFilter })
       .populate('student', 'firstName lastName idNumber')
       .sort({ lastViewedAt: -1 });
     
     // Get students who opened the lesson
     const openedStudents = await LessonView.find({ 
       lesson: req.params.id, 
-      openedAt: { $exists: true, $ne: null } 
+      openedAt: { $exists: true, $ne: null },
+      ...classFilter,
     }).populate('student', 'firstName lastName idNumber');
     
     // Get submissions for assignments related to this lesson
     const assignments = await Assignment.find({ lesson: req.params.id });
     const assignmentIds = assignments.map(a => a._id);
-    const submissions = await Submission.find({ assignment: { $in: assignmentIds } })
+    const submissions = await Submission.find({ assignment: { $in: assignmentIds }, ...classFilter })
       .populate('student', 'firstName lastName idNumber')
       .populate('assignment', 'title type');
     
     // Get progress records
-    const progressRecords = await Progress.find({ lesson: req.params.id })
+    const progressRecords = await Progress.find({ lesson: req.params.id, ...classFilter })
       .populate('student', 'firstName lastName idNumber');
     
     // Build student analytics
@@ -959,6 +1242,7 @@ router.get('/:id/analytics', protect, authorize('teacher', 'admin'), async (req,
           _id: lesson._id,
           title: lesson.title,
         },
+        sections: sectionIds,
         totalStudents: allStudents.length,
         completedLessons: progressRecords.filter(p => p.status === 'completed').length,
         totalViews: lessonViews.reduce((sum, v) => sum + (v.viewCount || 1), 0),
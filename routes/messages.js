@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, denyImpersonation } = require('../middleware/auth');
 
 // Search for users to message (exclude self)
 router.get('/search', protect, async (req, res) => {
@@ -68,7 +68,7 @@ router.get('/conversation/:userId', protect, async (req, res) => {
 });
 
 // Send a message
-router.post('/send', protect, async (req, res) => {
+router.post('/send', protect, denyImpersonation, async (req, res) => {
   try {
     const { receiverId, content } = req.body;
     const senderId = req.user.id;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { protect, requirePermission } = require('../middleware/auth');
+const { canActOn } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { contentVisibility, resolveSectionInput } = require('../utils/sections');
+const { rejectIfTermClosed, termFilter } = require('../utils/terms');
+const { releasedFilter, readPublishingInput } = require('../utils/publishing');
+const { readOffsetDays, resolveOwner, newReport, cloneModule } = require('../utils/cloning');
 const Module = require('../models/Module');
 const Lesson = require('../models/Lesson');
 const multer = require('multer');
@@ -40,18 +47,32 @@ function uploadBufferToCloudinary(buffer, originalname, folder = 'ttls_modules')
   });
 }
 
-// Get all modules (filtered by category if provided)
+// Get all modules (filtered by category if provided). Students only get released modules
+// open to everyone or assigned to one of their sections; ?section=<id> filters by section
+// and ?term=<id>|active|all picks the term (closed terms are left out by default).
 router.get('/', protect, async (req, res) => {
   try {
-    const { category } = req.query;
-    const query = {};
+    const { category, section } = req.query;
+    const terms = await termFilter(req.query.term);
+    if (terms.error) {
+      return res.status(400).json({ success: false, message: terms.error });
+    }
+    const visibility = await contentVisibility(req);
+    const query = visibility ? { ...terms.filter, ...visibility.modules } : { ...terms.filter };
     
     if (category) {
       query.category = category;
     }
+    if (section) {
+      if (!mongoose.Types.ObjectId.isValid(section)) {
+        return res.status(400).json({ success: false, message: 'Invalid section id' });
+      }
+      query.sections = section;
+    }
 
     const modules = await Module.find(query)
       .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio')
+      .populate('sections', '_id name')
       .sort({ category: 1, moduleNumber: 1 });
 
     res.json({ success: true, data: modules });
@@ -61,10 +82,10 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Get module count (public endpoint for home page stats)
+// Get module count (public endpoint for home page stats). Only released modules count.
 router.get('/count', async (req, res) => {
   try {
-    const count = await Module.countDocuments();
+    const count = await Module.countDocuments(releasedFilter());
     res.json({ success: true, data: { count } });
   } catch (error) {
     console.error('Error fetching module count:', error);
@@ -75,14 +96,18 @@ router.get('/count', async (req, res) => {
 // Get single module with lessons
 router.get('/:id', protect, async (req, res) => {
   try {
-    const module = await Module.findById(req.params.id)
-      .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio');
+    const visibility = await contentVisibility(req);
+    const module = await Module.findOne({ _id: req.params.id, ...(visibility && visibility.modules) })
+      .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio')
+      .populate('sections', '_id name');
 
     if (!module) {
       return res.status(404).json({ success: false, message: 'Module not found' });
     }
 
-    const lessons = await Lesson.find({ module: module._id })
+    const lessonQuery = { module: module._id };
+    if (visibility) lessonQuery.$and = [visibility.lessons];
+    const lessons = await Lesson.find(lessonQuery)
       .populate('createdBy', '_id firstName lastName idNumber role profilePicture coverPhoto bio')
       .sort({ createdAt: -1 });
 
@@ -94,7 +119,7 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Create module (teachers or admins)
-router.post('/', protect, authorize('teacher', 'admin'), upload.single('coverPhoto'), async (req, res) => {
+router.post('/', protect, requirePermission('module:create'), upload.single('coverPhoto'), async (req, res) => {
   try {
     const { title, description, category, moduleNumber } = req.body;
 
@@ -118,11 +143,24 @@ router.post('/', protect, authorize('teacher', 'admin'), upload.single('coverPho
       });
     }
 
+    const sectionInput = await resolveSectionInput(req, req.body.sections);
+    if (sectionInput.error) {
+      return res.status(400).json({ success: false, message: sectionInput.error });
+    }
+
+    // Draft or published, and an optional release window
+    const publishing = readPublishingInput(req.body);
+    if (publishing.error) {
+      return res.status(400).json({ success: false, message: publishing.error });
+    }
+
     const module = new Module({
       title,
       description: description || '',
       category: category || 'e-module',
       moduleNumber: moduleNumber || 1,
+      sections: sectionInput.sectionIds,
+      ...publishing.values,
       createdBy: req.user.id,
     });
 
@@ -162,7 +200,7 @@ router.post('/', protect, authorize('teacher', 'admin'), upload.single('coverPho
 });
 
 // Update module
-router.put('/:id', protect, authorize('teacher', 'admin'), upload.single('coverPhoto'), async (req, res) => {
+router.put('/:id', protect, requirePermission('module:edit'), upload.single('coverPhoto'), async (req, res) => {
   try {
     const module = await Module.findById(req.params.id);
 
@@ -170,16 +208,31 @@ router.put('/:id', protect, authorize('teacher', 'admin'), upload.single('coverP
       return res.status(404).json({ success: false, message: 'Module not found' });
     }
 
-    // Check if user is the creator or admin
-    if (module.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the creator or may manage others' content
+    if (!(await canActOn(req, 'content:manage-any', module.createdBy))) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to update this module' 
       });
     }
+    if (await rejectIfTermClosed(res, module)) return;
 
     const { title, description, moduleNumber } = req.body;
 
+    if (req.body.sections !== undefined) {
+      const sectionInput = await resolveSectionInput(req, req.body.sections);
+      if (sectionInput.error) {
+        return res.status(400).json({ success: false, message: sectionInput.error });
+      }
+      module.sections = sectionInput.sectionIds;
+    }
+
+    const publishing = readPublishingInput(req.body, module);
+    if (publishing.error) {
+      return res.status(400).json({ success: false, message: publishing.error });
+    }
+    module.set(publishing.values);
+
     if (title) module.title = title;
     if (description !== undefined) module.description = description;
     if (moduleNumber !== undefined) {
@@ -243,8 +296,66 @@ router.put('/:id', protect, authorize('teacher', 'admin'), upload.single('coverP
   }
 });
 
+// Copy a module with its lessons, their assignments and all files, e.g. for a new term.
+// Body: title, moduleNumber, dueDateOffsetDays (shifts due dates and release windows),
+// teacher (with content:manage-any, the teacher who gets the copy). The copy and
+// everything in it start as unassigned drafts.
+router.post('/:id/clone', protect, requirePermission('module:create'), async (req, res) => {
+  try {
+    const visibility = await contentVisibility(req);
+    const source = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Module.findOne({ _id: req.params.id, ...(visibility && visibility.modules) })
+      : null;
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const offset = readOffsetDays(req.body.dueDateOffsetDays);
+    if (offset.error) {
+      return res.status(400).json({ success: false, message: offset.error });
+    }
+    let moduleNumber;
+    if (req.body.moduleNumber !== undefined && req.body.moduleNumber !== '') {
+      moduleNumber = Number(req.body.moduleNumber);
+      if (!Number.isInteger(moduleNumber) || moduleNumber < 1) {
+        return res.status(400).json({ success: false, message: 'moduleNumber must be a positive whole number' });
+      }
+    }
+    const owner = await resolveOwner(req, req.body.teacher);
+    if (owner.error) {
+      return res.status(owner.status).json({ success: false, message: owner.error });
+    }
+
+    const report = newReport();
+    const copy = await cloneModule(source, {
+      ownerId: owner.ownerId,
+      title: req.body.title ? String(req.body.title).trim() : undefined,
+      moduleNumber,
+      offsetDays: offset.days,
+      visibility,
+      report,
+    });
+    const { skippedFiles, ...copied } = report;
+    await recordAudit(req, {
+      action: 'module.clone', targetType: 'Module', targetId: copy._id, targetLabel: copy.title,
+      metadata: { source: source._id, owner: owner.ownerId, dueDateOffsetDays: offset.days, copied, skippedFiles: skippedFiles.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: skippedFiles.length ? `Module copied, but ${skippedFiles.length} file(s) could not be copied` : 'Module copied',
+      data: copy,
+      copied,
+      skippedFiles,
+    });
+  } catch (error) {
+    console.error('Clone module error:', error);
+    res.status(500).json({ success: false, message: 'Failed to copy module' });
+  }
+});
+
 // Delete module
-router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('module:delete'), async (req, res) => {
   try {
     const module = await Module.findById(req.params.id);
 
@@ -252,13 +363,14 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) =
       return res.status(404).json({ success: false, message: 'Module not found' });
     }
 
-    // Check if user is the creator or admin
-    if (module.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the creator or may manage others' content
+    if (!(await canActOn(req, 'content:manage-any', module.createdBy))) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to delete this module' 
       });
     }
+    if (await rejectIfTermClosed(res, module)) return;
 
     // Check if module has lessons
     const lessonsCount = await Lesson.countDocuments({ module: module._id });
@@ -270,6 +382,10 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) =
     }
 
     await Module.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'module.delete', targetType: 'Module', targetId: module._id, targetLabel: module.title,
+      metadata: { createdBy: module.createdBy },
+    });
 
     res.json({ success: true, message: 'Module deleted successfully' });
   } catch (error) {
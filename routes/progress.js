@@ -3,7 +3,9 @@ const router = express.Router();
 const Progress = require('../models/Progress');
 const LessonView = require('../models/LessonView');
 const Lesson = require('../models/Lesson');
-const { protect, authorize } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { termFilter } = require('../utils/terms');
+const { releasedFilter } = require('../utils/publishing');
 
 // Sync Progress records with LessonView completion status
 // POST /api/progress/sync/completion-status
@@ -12,7 +14,7 @@ router.post('/sync/completion-status', protect, async (req, res) => {
     let targetStudentId = req.user.id;
     
     // Teachers/admins can sync for a specific student
-    if (req.user.role === 'teacher' || req.user.role === 'admin') {
+    if (req.can('progress:view-others')) {
       const { studentId } = req.body;
       if (studentId) targetStudentId = studentId;
     }
@@ -48,19 +50,24 @@ router.post('/sync/completion-status', protect, async (req, res) => {
 });
 
 // Get all lessons with their completion status from LessonView (same source as dashboard)
-// GET /api/progress/lessons-with-status
+// GET /api/progress/lessons-with-status (?term= as for GET /api/lessons)
 router.get('/lessons-with-status', protect, async (req, res) => {
   try {
+    const terms = await termFilter(req.query.term);
+    if (terms.error) {
+      return res.status(400).json({ success: false, message: terms.error });
+    }
     let targetStudentId = req.user.id;
 
     // Teachers/admins can view a specific student's progress
-    if (req.user.role === 'teacher' || req.user.role === 'admin') {
+    if (req.can('progress:view-others')) {
       const { studentId } = req.query;
       if (studentId) targetStudentId = studentId;
     }
 
-    // Get all lessons
-    const allLessons = await Lesson.find({}).select('_id title');
+    // Get all lessons (students only get released ones)
+    const lessonFilter = req.user.role === 'student' ? { ...terms.filter, ...releasedFilter() } : terms.filter;
+    const allLessons = await Lesson.find(lessonFilter).select('_id title');
 
     // Get completed lessons from LessonView (source of truth)
     const completedLessonViews = await LessonView.find({
@@ -122,9 +129,9 @@ router.post('/', protect, async (req, res) => {
   try {
     const { studentId, lessonId, activityId, status, score } = req.body;
 
-    // If the caller is a student, they may only update their own progress
+    // Callers who can't manage others' progress (students) may only update their own
     let targetStudentId = studentId;
-    if (req.user.role === 'student') {
+    if (!req.can('progress:view-others')) {
       targetStudentId = req.user.id;
     } else {
       // teacher/admin must provide a studentId
@@ -154,7 +161,7 @@ router.get('/', protect, async (req, res) => {
   try {
     const { studentId } = req.query;
 
-    if (req.user.role === 'student') {
+    if (!req.can('progress:view-others')) {
       // students can only fetch their own
       const progs = await Progress.find({ student: req.user.id }).populate('lesson activity');
       console.log(`Fetched ${progs.length} progress records for student ${req.user.id}:`, 
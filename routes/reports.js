@@ -5,7 +5,9 @@ const router = express.Router();
 const Report = require('../models/Report');
 const Submission = require('../models/Submission');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { closedTermIds } = require('../utils/terms');
 
 // Get reports for the logged-in user
 router.get('/my', protect, async (req, res) => {
@@ -50,7 +52,7 @@ router.post('/', protect, async (req, res) => {
 });
 
 // Get all reports (admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+router.get('/', protect, requirePermission('report:manage'), async (req, res) => {
   try {
     const reports = await Report.find()
       .populate('reporter', 'firstName lastName email idNumber')
@@ -64,7 +66,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 });
 
 // Update report status (admin only)
-router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
+router.put('/:id/status', protect, requirePermission('report:manage'), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -90,7 +92,7 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
 });
 
 // Delete report (admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('report:manage'), async (req, res) => {
   try {
     const report = await Report.findByIdAndDelete(req.params.id);
 
@@ -108,8 +110,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 // Save manual grade overrides (teacher only)
 router.post('/save-grade-overrides', protect, async (req, res) => {
   try {
-    // Check if user is teacher or admin
-    if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
+    // Check if user may override grades (teachers and admins by default)
+    if (!req.can('grade:override')) {
       return res.status(403).json({ message: 'Only teachers and admins can save grade overrides' });
     }
 
@@ -121,16 +123,24 @@ router.post('/save-grade-overrides', protect, async (req, res) => {
 
     let updatedCount = 0;
     const results = [];
+    // Submissions of closed terms are read-only
+    const closedTerms = await closedTermIds();
 
     for (const [studentId, gradePercentage] of Object.entries(studentGrades)) {
       try {
-        // Find all submissions for this student
-        const submissions = await Submission.find({ student: studentId });
+        // Find all submissions for this student outside closed terms
+        const submissions = await Submission.find({ student: studentId, term: { $nin: closedTerms } });
         
         // Update all submissions with the manual grade override
         for (const submission of submissions) {
+          const previous = submission.gradePercentage;
           submission.gradePercentage = gradePercentage;
           await submission.save();
+          await recordAudit(req, {
+            action: 'grade.override', targetType: 'Submission', targetId: submission._id,
+            before: { gradePercentage: previous }, after: { gradePercentage },
+            metadata: { student: studentId, assignment: submission.assignment },
+          });
           updatedCount++;
           results.push({
             studentId,
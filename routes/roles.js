@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, SYSTEM_ROLES, unknownPermissions } = require('../config/permissions');
+const { clearRoleCache } = require('../utils/permissions');
+const { recordAudit, snapshot, userLabel } = require('../utils/audit');
+
+// Make sure the built-in roles exist so they can be listed and edited
+const ensureSystemRoles = () => Promise.all(
+  Object.entries(SYSTEM_ROLES).map(([name, defaults]) => Role.updateOne(
+    { name },
+    { $setOnInsert: { name, description: defaults.description, permissions: defaults.permissions, isSystem: true } },
+    { upsert: true }
+  ))
+);
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission that can be granted
+// @access  Private (role:manage)
+router.get('/permissions', protect, requirePermission('role:manage'), (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  res.json({ success: true, permissions });
+});
+
+// @route   GET /api/roles
+// @desc    List roles with the number of users assigned to each
+// @access  Private (role:manage)
+router.get('/', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    await ensureSystemRoles();
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    const data = await Promise.all(roles.map(async (role) => {
+      const userCount = role.isSystem
+        ? await User.countDocuments({ role: role.name, customRole: null })
+        : await User.countDocuments({ customRole: role._id });
+      return { ...role.toObject(), userCount };
+    }));
+
+    res.json({ success: true, roles: data });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch roles' });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (role:manage)
+router.post('/', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [], departmentScoped } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Role name is required' });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ success: false, message: 'permissions must be an array' });
+    }
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, message: `Unknown permission(s): ${unknown.join(', ')}` });
+    }
+
+    if (SYSTEM_ROLES[String(name).toLowerCase()] || await Role.exists({ name: String(name).toLowerCase() })) {
+      return res.status(400).json({ success: false, message: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      departmentScoped: !!departmentScoped,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: 'role.create', targetType: 'Role', targetId: role._id, targetLabel: role.name,
+      after: snapshot(role, ['permissions', 'departmentScoped']),
+    });
+
+    res.status(201).json({ success: true, message: 'Role created', role });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating role:', error);
+    res.status(500).json({ success: false, message: 'Failed to create role' });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's description, permissions or department scope.
+//          System roles keep their name; the admin role always has every permission.
+// @access  Private (role:manage)
+router.put('/:id', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    const { description, permissions, departmentScoped } = req.body;
+    const auditFields = ['description', 'permissions', 'departmentScoped'];
+    const before = snapshot(role, auditFields);
+
+    if (permissions !== undefined) {
+      if (role.isSystem && role.name === 'admin') {
+        return res.status(400).json({ success: false, message: 'The admin role always has every permission' });
+      }
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ success: false, message: 'permissions must be an array' });
+      }
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length) {
+        return res.status(400).json({ success: false, message: `Unknown permission(s): ${unknown.join(', ')}` });
+      }
+      role.permissions = permissions;
+    }
+    if (description !== undefined) role.description = description;
+    if (departmentScoped !== undefined) role.departmentScoped = !!departmentScoped;
+
+    await role.save();
+    clearRoleCache();
+    await recordAudit(req, {
+      action: 'role.update', targetType: 'Role', targetId: role._id, targetLabel: role.name,
+      before, after: snapshot(role, auditFields),
+    });
+
+    res.json({ success: true, message: 'Role updated', role });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that is not assigned to anyone
+// @access  Private (role:manage)
+router.delete('/:id', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+    if (role.isSystem) {
+      return res.status(400).json({ success: false, message: 'System roles cannot be deleted' });
+    }
+
+    const assigned = await User.countDocuments({ customRole: role._id });
+    if (assigned) {
+      return res.status(400).json({ success: false, message: `Role is assigned to ${assigned} user(s). Reassign them first.` });
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+    await recordAudit(req, {
+      action: 'role.delete', targetType: 'Role', targetId: role._id, targetLabel: role.name,
+      before: snapshot(role, ['permissions', 'departmentScoped']),
+    });
+
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete role' });
+  }
+});
+
+// @route   PUT /api/roles/assign/:userId
+// @desc    Give a user a custom role, or clear it with { roleId: null }
+// @access  Private (role:manage)
+router.put('/assign/:userId', protect, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { roleId } = req.body;
+    let role = null;
+    if (roleId) {
+      role = await Role.findById(roleId);
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'Role not found' });
+      }
+      if (role.isSystem) {
+        return res.status(400).json({ success: false, message: 'System roles are set through the user role field' });
+      }
+    }
+
+    const before = { customRole: user.customRole };
+    user.customRole = role ? role._id : null;
+    await user.save();
+    await recordAudit(req, {
+      action: 'role.assign', targetType: 'User', targetId: user._id, targetLabel: userLabel(user),
+      before, after: { customRole: user.customRole },
+      metadata: { roleName: role ? role.name : null },
+    });
+
+    res.json({
+      success: true,
+      message: role ? `Assigned role ${role.name}` : 'Custom role removed',
+      user: { id: user._id, role: user.role, customRole: role ? { id: role._id, name: role.name } : null },
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({ success: false, message: 'Failed to assign role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,562 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Section = require('../models/Section');
+const SectionJoinCode = require('../models/SectionJoinCode');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Lesson = require('../models/Lesson');
+const LessonView = require('../models/LessonView');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { protect, requirePermission } = require('../middleware/auth');
+const { canManageSection, parseIdList, deleteSections } = require('../utils/sections');
+const { recordAudit } = require('../utils/audit');
+const { rejectIfTermClosed, termFilter } = require('../utils/terms');
+const rateLimit = require('express-rate-limit');
+
+const PERSON_FIELDS = '_id idNumber firstName lastName email department profilePicture';
+const STAFF_ROLES = ['teacher', 'admin'];
+const JOIN_CODE_DEFAULT_DAYS = 14;
+const JOIN_CODE_MAX_DAYS = 365;
+
+// Join codes are short, so limit how fast one account can try them
+const joinLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.user.id,
+  message: { success: false, message: 'Too many join attempts, please try again later' },
+});
+
+// A section without its member lists, for listings and for students
+const summarize = (section) => {
+  const { students, joinRequests, ...rest } = section.toObject();
+  return { ...rest, studentCount: students.length, pendingCount: joinRequests.length };
+};
+
+// Look up users by id and check their role. Returns { users } or { error }.
+const findMembers = async (ids, roles, label) => {
+  if (ids === null || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: `${label} must be a list of user ids` };
+  }
+  const unique = [...new Set(ids)];
+  const users = await User.find({ _id: { $in: unique }, role: { $in: roles }, status: 'approved' }).select('_id');
+  if (users.length !== unique.length) {
+    return { error: `${label} must be approved ${roles.join(' or ')} accounts` };
+  }
+  return { users: users.map((u) => u._id) };
+};
+
+// Load req.params.id into req.section after checking req's user can manage it.
+// Sections of a closed term can still be read but not changed.
+const managedSection = async (req, res, next) => {
+  try {
+    const section = mongoose.Types.ObjectId.isValid(req.params.id) ? await Section.findById(req.params.id) : null;
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+    if (!(await canManageSection(req, section))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage this section' });
+    }
+    if (req.method !== 'GET' && await rejectIfTermClosed(res, section)) return;
+    req.section = section;
+    next();
+  } catch (error) {
+    console.error('Error loading section:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @route   GET /api/sections
+// @desc    Students get the sections they are enrolled in; teachers the sections they
+//          teach. With section:manage-any, ?scope=all lists every section.
+//          Query: archived=true to include archived sections, teacher, department,
+//          term=<id>|active|all (closed terms are left out by default)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const terms = await termFilter(req.query.term);
+    if (terms.error) {
+      return res.status(400).json({ success: false, message: terms.error });
+    }
+    const query = { ...terms.filter };
+    if (req.query.archived !== 'true') query.archivedAt = null;
+    if (req.query.department) query.department = req.query.department;
+
+    if (req.user.role === 'student') {
+      query.$or = [{ students: req.user.id }, { 'joinRequests.student': req.user.id }];
+    } else if (req.query.scope === 'all' && req.can('section:manage-any')) {
+      if (req.query.teacher) query.teacher = req.query.teacher;
+      // Department-scoped roles only see sections taught by their department
+      if (req.permissionScope.department !== null) {
+        query.teacher = { $in: await User.find({ department: req.permissionScope.department }).distinct('_id') };
+      }
+    } else {
+      query.$or = [{ teacher: req.user.id }, { coTeachers: req.user.id }];
+    }
+
+    const sections = await Section.find(query)
+      .populate('teacher', PERSON_FIELDS)
+      .populate('coTeachers', PERSON_FIELDS)
+      .sort({ name: 1 });
+
+    // Students see who teaches a section, not who else is in it, and whether they
+    // are still waiting for approval
+    const data = sections.map((section) => (req.user.role === 'student'
+      ? { ...summarize(section), pendingApproval: !section.hasStudent(req.user.id) }
+      : summarize(section)));
+
+    res.json({ success: true, count: data.length, sections: data });
+  } catch (error) {
+    console.error('Error fetching sections:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sections' });
+  }
+});
+
+// @route   POST /api/sections/join
+// @desc    Join a section with a code from its teacher. Codes that need approval add a
+//          join request instead; the teacher approves or rejects it.
+// @access  Private (students)
+router.post('/join', protect, joinLimiter, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ success: false, message: 'Only students can join a section' });
+    }
+    if (!req.body.code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    // Sections of a closed term take no new students
+    const found = await SectionJoinCode.findOne({ code: String(req.body.code).trim().toUpperCase() }).select('section');
+    if (found && (await rejectIfTermClosed(res, await Section.findById(found.section).select('term')))) return;
+
+    const joinCode = await SectionJoinCode.claim(req.body.code);
+    if (!joinCode) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired code' });
+    }
+
+    const section = await Section.findOne({ _id: joinCode.section, archivedAt: null });
+    const refuse = async (status, message) => {
+      await SectionJoinCode.release(joinCode._id);
+      return res.status(status).json({ success: false, message });
+    };
+    if (!section) return refuse(400, 'This section is no longer open');
+    if (section.hasStudent(req.user.id)) return refuse(400, 'You are already in this section');
+    if (section.hasJoinRequest(req.user.id)) return refuse(400, 'You have already asked to join this section');
+
+    if (joinCode.requireApproval) {
+      await Section.updateOne(
+        { _id: section._id },
+        { $push: { joinRequests: { student: req.user.id, joinCode: joinCode._id, requestedAt: new Date() } } }
+      );
+      return res.json({ success: true, message: 'Request sent. Your teacher will approve it.', pendingApproval: true, section: summarize(section) });
+    }
+
+    await Section.updateOne({ _id: section._id }, { $addToSet: { students: req.user.id } });
+    res.json({ success: true, message: `Joined ${section.name}`, pendingApproval: false, section: summarize(section) });
+  } catch (error) {
+    console.error('Error joining section:', error);
+    res.status(500).json({ success: false, message: 'Failed to join section' });
+  }
+});
+
+// @route   GET /api/sections/:id
+// @desc    Section details. The student list is only included for its staff and managers.
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const section = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Section.findById(req.params.id)
+        .populate('teacher', PERSON_FIELDS)
+        .populate('coTeachers', PERSON_FIELDS)
+        .populate('students', PERSON_FIELDS)
+        .populate('joinRequests.student', PERSON_FIELDS)
+      : null;
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+
+    if (await canManageSection(req, section)) {
+      return res.json({ success: true, section });
+    }
+    if (section.hasStudent(req.user.id) || section.hasJoinRequest(req.user.id)) {
+      return res.json({ success: true, section: { ...summarize(section), pendingApproval: !section.hasStudent(req.user.id) } });
+    }
+    res.status(404).json({ success: false, message: 'Section not found' });
+  } catch (error) {
+    console.error('Error fetching section:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch section' });
+  }
+});
+
+// @route   POST /api/sections
+// @desc    Create a section. The caller is the teacher of record unless they hold
+//          section:manage-any and name another `teacher`.
+// @access  Private (section:manage)
+router.post('/', protect, requirePermission('section:manage'), async (req, res) => {
+  try {
+    const { name, description, department } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'Section name is required' });
+    }
+
+    let teacher = req.user.id;
+    if (req.body.teacher && String(req.body.teacher) !== req.user.id) {
+      if (!req.can('section:manage-any')) {
+        return res.status(403).json({ success: false, message: 'You can only create sections you teach' });
+      }
+      const found = await findMembers([String(req.body.teacher)], STAFF_ROLES, 'teacher');
+      if (found.error) return res.status(400).json({ success: false, message: found.error });
+      teacher = found.users[0];
+    }
+
+    const coTeachers = await findMembers(parseIdList(req.body.coTeachers), STAFF_ROLES, 'coTeachers');
+    if (coTeachers.error) return res.status(400).json({ success: false, message: coTeachers.error });
+    const students = await findMembers(parseIdList(req.body.students), ['student'], 'students');
+    if (students.error) return res.status(400).json({ success: false, message: students.error });
+
+    const section = await Section.create({
+      name,
+      description: description || '',
+      department,
+      teacher,
+      coTeachers: coTeachers.users.filter((id) => String(id) !== String(teacher)),
+      students: students.users,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({ success: true, message: 'Section created', section });
+  } catch (error) {
+    console.error('Error creating section:', error);
+    res.status(500).json({ success: false, message: 'Failed to create section' });
+  }
+});
+
+// @route   PUT /api/sections/:id
+// @desc    Update name, description, department, coTeachers or archived (true/false).
+//          Changing the teacher of record needs the current teacher or section:manage-any.
+// @access  Private (section staff or section:manage-any)
+router.put('/:id', protect, managedSection, async (req, res) => {
+  try {
+    const section = req.section;
+    const { name, description, department, archived } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ success: false, message: 'Section name cannot be empty' });
+      }
+      section.name = name;
+    }
+    if (description !== undefined) section.description = description || '';
+    if (department !== undefined) section.department = department || undefined;
+    if (archived !== undefined) section.archivedAt = archived === true || archived === 'true' ? section.archivedAt || new Date() : null;
+
+    if (req.body.teacher !== undefined && String(req.body.teacher) !== String(section.teacher)) {
+      if (String(section.teacher) !== req.user.id && !req.can('section:manage-any')) {
+        return res.status(403).json({ success: false, message: 'Only the teacher of record can hand over a section' });
+      }
+      const found = await findMembers([String(req.body.teacher)], STAFF_ROLES, 'teacher');
+      if (found.error) return res.status(400).json({ success: false, message: found.error });
+      section.teacher = found.users[0];
+    }
+
+    if (req.body.coTeachers !== undefined) {
+      const coTeachers = await findMembers(parseIdList(req.body.coTeachers), STAFF_ROLES, 'coTeachers');
+      if (coTeachers.error) return res.status(400).json({ success: false, message: coTeachers.error });
+      section.coTeachers = coTeachers.users;
+    }
+    section.coTeachers = section.coTeachers.filter((id) => String(id) !== String(section.teacher));
+
+    await section.save();
+    res.json({ success: true, message: 'Section updated', section });
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(500).json({ success: false, message: 'Failed to update section' });
+  }
+});
+
+// @route   DELETE /api/sections/:id
+// @desc    Delete a section. Its content stays and is unassigned from it; content
+//          assigned only to this section goes back to draft.
+// @access  Private (teacher of record or section:manage-any)
+router.delete('/:id', protect, managedSection, async (req, res) => {
+  try {
+    const section = req.section;
+    if (String(section.teacher) !== req.user.id && !req.can('section:manage-any')) {
+      return res.status(403).json({ success: false, message: 'Only the teacher of record can delete a section' });
+    }
+
+    await deleteSections([section._id]);
+    await recordAudit(req, {
+      action: 'section.delete', targetType: 'Section', targetId: section._id, targetLabel: section.name,
+      metadata: { teacher: section.teacher, studentCount: section.students.length },
+    });
+
+    res.json({ success: true, message: 'Section deleted' });
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete section' });
+  }
+});
+
+// @route   POST /api/sections/:id/students
+// @desc    Enroll students by id (`studentIds`) or ID number (`idNumbers`)
+// @access  Private (section staff or section:manage-any)
+router.post('/:id/students', protect, managedSection, async (req, res) => {
+  try {
+    const section = req.section;
+    const ids = parseIdList(req.body.studentIds) || [];
+    const idNumbers = (parseIdList(req.body.idNumbers) || []).map((n) => n.trim());
+    if (!ids.length && !idNumbers.length) {
+      return res.status(400).json({ success: false, message: 'studentIds or idNumbers is required' });
+    }
+
+    const or = [];
+    const validIds = ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length) or.push({ _id: { $in: validIds } });
+    if (idNumbers.length) or.push({ idNumber: { $in: idNumbers } });
+    const found = or.length
+      ? await User.find({ $or: or, role: 'student', status: 'approved' }).select('_id idNumber')
+      : [];
+
+    const foundKeys = new Set(found.flatMap((u) => [String(u._id), u.idNumber]));
+    const notFound = [...ids, ...idNumbers].filter((key) => !foundKeys.has(key));
+    const enrolled = found.filter((u) => !section.hasStudent(u._id));
+    const alreadyEnrolled = found.length - enrolled.length;
+
+    if (enrolled.length) {
+      const enrolledIds = enrolled.map((u) => u._id);
+      await Section.updateOne(
+        { _id: section._id },
+        { $addToSet: { students: { $each: enrolledIds } }, $pull: { joinRequests: { student: { $in: enrolledIds } } } }
+      );
+    }
+
+    res.json({ success: true, enrolled: enrolled.length, alreadyEnrolled, notFound });
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    res.status(500).json({ success: false, message: 'Failed to enroll students' });
+  }
+});
+
+// @route   DELETE /api/sections/:id/students/:studentId
+// @desc    Remove a student from a section
+// @access  Private (section staff or section:manage-any)
+router.delete('/:id/students/:studentId', protect, managedSection, async (req, res) => {
+  try {
+    if (!req.section.hasStudent(req.params.studentId)) {
+      return res.status(404).json({ success: false, message: 'Student is not in this section' });
+    }
+    await Section.updateOne({ _id: req.section._id }, { $pull: { students: req.params.studentId } });
+    res.json({ success: true, message: 'Student removed from section' });
+  } catch (error) {
+    console.error('Error removing student from section:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove student' });
+  }
+});
+
+// @route   PUT /api/sections/:id/requests/:studentId/approve
+// @desc    Approve a student's request to join
+// @access  Private (section staff or section:manage-any)
+router.put('/:id/requests/:studentId/approve', protect, managedSection, async (req, res) => {
+  try {
+    if (!req.section.hasJoinRequest(req.params.studentId)) {
+      return res.status(404).json({ success: false, message: 'Join request not found' });
+    }
+    await Section.updateOne(
+      { _id: req.section._id },
+      { $addToSet: { students: req.params.studentId }, $pull: { joinRequests: { student: req.params.studentId } } }
+    );
+    res.json({ success: true, message: 'Student added to section' });
+  } catch (error) {
+    console.error('Error approving join request:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve request' });
+  }
+});
+
+// @route   PUT /api/sections/:id/requests/:studentId/reject
+// @desc    Reject a student's request to join
+// @access  Private (section staff or section:manage-any)
+router.put('/:id/requests/:studentId/reject', protect, managedSection, async (req, res) => {
+  try {
+    if (!req.section.hasJoinRequest(req.params.studentId)) {
+      return res.status(404).json({ success: false, message: 'Join request not found' });
+    }
+    await Section.updateOne({ _id: req.section._id }, { $pull: { joinRequests: { student: req.params.studentId } } });
+    res.json({ success: true, message: 'Join request rejected' });
+  } catch (error) {
+    console.error('Error rejecting join request:', error);
+    res.status(500).json({ success: false, message: 'Failed to reject request' });
+  }
+});
+
+// @route   POST /api/sections/:id/join-codes
+// @desc    Create a join code. Body: expiresInDays (default 14, max 365) or expiresAt,
+//          maxUses (optional, unlimited when left out), requireApproval
+// @access  Private (section staff or section:manage-any)
+router.post('/:id/join-codes', protect, managedSection, async (req, res) => {
+  try {
+    if (req.section.archivedAt) {
+      return res.status(400).json({ success: false, message: 'Archived sections cannot be joined' });
+    }
+
+    const { expiresInDays, maxUses, requireApproval } = req.body;
+    let expiresAt;
+    if (req.body.expiresAt) {
+      expiresAt = new Date(req.body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({ success: false, message: 'expiresAt must be a future date' });
+      }
+    } else {
+      const days = expiresInDays === undefined ? JOIN_CODE_DEFAULT_DAYS : Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({ success: false, message: 'expiresInDays must be a positive number' });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+    if (expiresAt > new Date(Date.now() + JOIN_CODE_MAX_DAYS * 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ success: false, message: `Join codes can last at most ${JOIN_CODE_MAX_DAYS} days` });
+    }
+
+    let limit = null;
+    if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+      limit = parseInt(maxUses, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ success: false, message: 'maxUses must be a positive whole number' });
+      }
+    }
+
+    let joinCode;
+    for (let attempt = 0; attempt < 5 && !joinCode; attempt++) {
+      const code = Invitation.generateCode(8);
+      if (await SectionJoinCode.exists({ code })) continue;
+      joinCode = await SectionJoinCode.create({
+        section: req.section._id,
+        code,
+        maxUses: limit,
+        expiresAt,
+        requireApproval: requireApproval === true || requireApproval === 'true',
+        createdBy: req.user.id,
+      });
+    }
+    if (!joinCode) {
+      return res.status(500).json({ success: false, message: 'Could not generate a unique code' });
+    }
+
+    res.status(201).json({ success: true, joinCode: { ...joinCode.toObject(), status: joinCode.getStatus() } });
+  } catch (error) {
+    console.error('Error creating join code:', error);
+    res.status(500).json({ success: false, message: 'Failed to create join code' });
+  }
+});
+
+// @route   GET /api/sections/:id/join-codes
+// @desc    The section's join codes with their status
+// @access  Private (section staff or section:manage-any)
+router.get('/:id/join-codes', protect, managedSection, async (req, res) => {
+  try {
+    const codes = await SectionJoinCode.find({ section: req.section._id })
+      .populate('createdBy', '_id firstName lastName')
+      .sort({ createdAt: -1 });
+    const joinCodes = codes.map((c) => ({ ...c.toObject(), status: c.getStatus() }));
+    res.json({ success: true, count: joinCodes.length, joinCodes });
+  } catch (error) {
+    console.error('Error fetching join codes:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch join codes' });
+  }
+});
+
+// @route   DELETE /api/sections/:id/join-codes/:codeId
+// @desc    Revoke a join code. Students who already joined stay in the section.
+// @access  Private (section staff or section:manage-any)
+router.delete('/:id/join-codes/:codeId', protect, managedSection, async (req, res) => {
+  try {
+    const joinCode = mongoose.Types.ObjectId.isValid(req.params.codeId)
+      ? await SectionJoinCode.findOne({ _id: req.params.codeId, section: req.section._id })
+      : null;
+    if (!joinCode) {
+      return res.status(404).json({ success: false, message: 'Join code not found' });
+    }
+    if (!joinCode.revokedAt) {
+      joinCode.revokedAt = new Date();
+      await joinCode.save();
+    }
+    res.json({ success: true, message: 'Join code revoked' });
+  } catch (error) {
+    console.error('Error revoking join code:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke join code' });
+  }
+});
+
+// @route   GET /api/sections/:id/analytics
+// @desc    Lesson completion and assignment submissions for the section's students,
+//          over the lessons and assignments assigned to the section
+// @access  Private (section staff or section:manage-any)
+router.get('/:id/analytics', protect, managedSection, async (req, res) => {
+  try {
+    const section = req.section;
+    const studentIds = section.students;
+
+    const [students, lessons, assignments] = await Promise.all([
+      User.find({ _id: { $in: studentIds } }).select('_id firstName lastName idNumber'),
+      Lesson.find({ sections: section._id }).select('_id title'),
+      Assignment.find({ sections: section._id }).select('_id title type dueDate totalPoints'),
+    ]);
+
+    const lessonIds = lessons.map((l) => l._id);
+    const assignmentIds = assignments.map((a) => a._id);
+    const [views, submissions] = await Promise.all([
+      LessonView.find({ lesson: { $in: lessonIds }, student: { $in: studentIds } }).select('lesson student completed'),
+      Submission.find({ assignment: { $in: assignmentIds }, student: { $in: studentIds } })
+        .select('assignment student isGraded grade totalScore'),
+    ]);
+
+    const countBy = (items, key, filter = () => true) => items.filter(filter).reduce((counts, item) => {
+      const id = String(item[key]);
+      counts[id] = (counts[id] || 0) + 1;
+      return counts;
+    }, {});
+    const completedByLesson = countBy(views, 'lesson', (v) => v.completed);
+    const completedByStudent = countBy(views, 'student', (v) => v.completed);
+    const submittedByAssignment = countBy(submissions, 'assignment');
+
+    const studentAnalytics = students.map((student) => {
+      const own = submissions.filter((s) => String(s.student) === String(student._id));
+      const graded = own.filter((s) => s.isGraded && s.grade !== undefined && s.grade !== null);
+      return {
+        student,
+        lessonsCompleted: completedByStudent[String(student._id)] || 0,
+        assignmentsSubmitted: own.length,
+        averageScore: graded.length
+          ? graded.reduce((sum, s) => sum + (s.grade / (s.totalScore || 100)) * 100, 0) / graded.length
+          : null,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        section: { _id: section._id, name: section.name },
+        totalStudents: students.length,
+        lessons: lessons.map((l) => ({
+          _id: l._id,
+          title: l.title,
+          studentsCompleted: completedByLesson[String(l._id)] || 0,
+        })),
+        assignments: assignments.map((a) => ({
+          _id: a._id,
+          title: a.title,
+          type: a.type,
+          dueDate: a.dueDate,
+          submissionCount: submittedByAssignment[String(a._id)] || 0,
+        })),
+        studentAnalytics,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching section analytics:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch section analytics' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 // Get settings (public - for home page)
 router.get('/satisfaction-rate', async (req, res) => {
@@ -31,7 +32,7 @@ router.get('/satisfaction-rate', async (req, res) => {
 });
 
 // Update satisfaction rate (admin only)
-router.put('/satisfaction-rate', protect, authorize('admin'), async (req, res) => {
+router.put('/satisfaction-rate', protect, requirePermission('settings:manage'), async (req, res) => {
   try {
     const { satisfactionRate, satisfactionNote } = req.body;
 
@@ -47,6 +48,7 @@ router.put('/satisfaction-rate', protect, authorize('admin'), async (req, res) =
     if (!settings) {
       settings = new Settings();
     }
+    const before = snapshot(settings, ['satisfactionRate', 'satisfactionNote']);
 
     if (satisfactionRate !== undefined) {
       settings.satisfactionRate = satisfactionRate;
@@ -56,6 +58,10 @@ router.put('/satisfaction-rate', protect, authorize('admin'), async (req, res) =
     }
 
     await settings.save();
+    await recordAudit(req, {
+      action: 'settings.update', targetType: 'Settings', targetId: settings._id, targetLabel: 'satisfaction-rate',
+      before, after: snapshot(settings, ['satisfactionRate', 'satisfactionNote']),
+    });
 
     res.json({ 
       success: true, 
@@ -68,4 +74,62 @@ router.put('/satisfaction-rate', protect, authorize('admin'), async (req, res) =
   }
 });
 
+// Get two-factor authentication policy (admin only)
+router.get('/two-factor', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const settings = await Settings.findOne();
+
+    res.json({
+      success: true,
+      data: {
+        twoFactorRequiredRoles: settings ? settings.twoFactorRequiredRoles : []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch settings' });
+  }
+});
+
+// Update which roles must use two-factor authentication (admin only)
+// body: { requiredRoles: ['admin', 'teacher'] }
+router.put('/two-factor', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const allowedRoles = ['student', 'teacher', 'admin', 'guardian'];
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(r => !allowedRoles.includes(r))) {
+      return res.status(400).json({
+        success: false,
+        message: 'requiredRoles must be an array of student, teacher, admin or guardian'
+      });
+    }
+
+    let settings = await Settings.findOne();
+
+    if (!settings) {
+      settings = new Settings();
+    }
+
+    const before = snapshot(settings, ['twoFactorRequiredRoles']);
+    settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+    await settings.save();
+    await recordAudit(req, {
+      action: 'settings.update', targetType: 'Settings', targetId: settings._id, targetLabel: 'two-factor',
+      before, after: snapshot(settings, ['twoFactorRequiredRoles']),
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor settings updated successfully',
+      data: {
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles
+      }
+    });
+  } catch (error) {
+    console.error('Error updating two-factor settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Term = require('../models/Term');
+const { protect, requirePermission } = require('../middleware/auth');
+const { TERM_SCOPED_MODELS, activateTerm, closeTerm } = require('../utils/terms');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const TERM_FIELDS = ['name', 'startDate', 'endDate', 'status'];
+
+// Validate name and dates from a request body. Returns { values } or { error }.
+const readTermBody = (body, { partial = false } = {}) => {
+  const values = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'Term name is required' };
+    values.name = String(body.name).trim();
+  }
+  for (const key of ['startDate', 'endDate']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      values[key] = undefined;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    values[key] = date;
+  }
+  return { values };
+};
+
+const findTerm = async (id) => (mongoose.Types.ObjectId.isValid(id) ? Term.findById(id) : null);
+
+// @route   GET /api/terms
+// @desc    All terms, newest first, with the active term marked
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const terms = await Term.find().sort({ startDate: -1, createdAt: -1 });
+    res.json({ success: true, count: terms.length, terms, active: terms.find((t) => t.status === 'active') || null });
+  } catch (error) {
+    console.error('Error fetching terms:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch terms' });
+  }
+});
+
+// @route   GET /api/terms/:id
+// @desc    A term with how much data is stamped with it
+// @access  Private (term:manage)
+router.get('/:id', protect, requirePermission('term:manage'), async (req, res) => {
+  try {
+    const term = await findTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const counts = {};
+    for (const [key, Model] of Object.entries(TERM_SCOPED_MODELS)) {
+      counts[key] = await Model.countDocuments({ term: term._id });
+    }
+    res.json({ success: true, term, counts });
+  } catch (error) {
+    console.error('Error fetching term:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch term' });
+  }
+});
+
+// @route   POST /api/terms
+// @desc    Create an upcoming term. Body: name, startDate, endDate
+// @access  Private (term:manage)
+router.post('/', protect, requirePermission('term:manage'), async (req, res) => {
+  try {
+    const { values, error } = readTermBody(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (await Term.exists({ name: values.name })) {
+      return res.status(400).json({ success: false, message: 'A term with this name already exists' });
+    }
+
+    const term = await Term.create({ ...values, createdBy: req.user.id });
+    await recordAudit(req, {
+      action: 'term.create', targetType: 'Term', targetId: term._id, targetLabel: term.name,
+      after: snapshot(term, TERM_FIELDS),
+    });
+
+    res.status(201).json({ success: true, message: 'Term created', term });
+  } catch (error) {
+    console.error('Error creating term:', error);
+    res.status(500).json({ success: false, message: 'Failed to create term' });
+  }
+});
+
+// @route   PUT /api/terms/:id
+// @desc    Rename a term or change its dates
+// @access  Private (term:manage)
+router.put('/:id', protect, requirePermission('term:manage'), async (req, res) => {
+  try {
+    const term = await findTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const { values, error } = readTermBody(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (values.name && values.name !== term.name && await Term.exists({ name: values.name })) {
+      return res.status(400).json({ success: false, message: 'A term with this name already exists' });
+    }
+
+    const before = snapshot(term, TERM_FIELDS);
+    term.set(values);
+    await term.save();
+    await recordAudit(req, {
+      action: 'term.update', targetType: 'Term', targetId: term._id, targetLabel: term.name,
+      before, after: snapshot(term, TERM_FIELDS),
+    });
+
+    res.json({ success: true, message: 'Term updated', term });
+  } catch (error) {
+    console.error('Error updating term:', error);
+    res.status(500).json({ success: false, message: 'Failed to update term' });
+  }
+});
+
+// @route   POST /api/terms/:id/activate
+// @desc    Open a term: new content and submissions are stamped with it. Only one term
+//          can be active. Body: { claimUnassigned: true } also stamps data created
+//          before any term was used.
+// @access  Private (term:manage)
+router.post('/:id/activate', protect, requirePermission('term:manage'), async (req, res) => {
+  try {
+    const term = await findTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const result = await activateTerm(term, req.user.id, { claimUnassigned: req.body.claimUnassigned === true });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    await recordAudit(req, {
+      action: 'term.activate', targetType: 'Term', targetId: term._id, targetLabel: term.name,
+      metadata: { claimed: result.claimed },
+    });
+
+    res.json({ success: true, message: `${term.name} is now the active term`, term, claimed: result.claimed });
+  } catch (error) {
+    console.error('Error activating term:', error);
+    res.status(500).json({ success: false, message: 'Failed to activate term' });
+  }
+});
+
+// @route   POST /api/terms/:id/close
+// @desc    Close a term: its data becomes read-only and is hidden from default listings,
+//          and its sections are archived. Body: { nextTermId } opens that term right
+//          away (rollover).
+// @access  Private (term:manage)
+router.post('/:id/close', protect, requirePermission('term:manage'), async (req, res) => {
+  try {
+    const term = await findTerm(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+    if (term.status === 'closed') {
+      return res.status(400).json({ success: false, message: 'This term is already closed' });
+    }
+
+    let next = null;
+    if (req.body.nextTermId) {
+      next = await findTerm(req.body.nextTermId);
+      if (!next || next.status !== 'upcoming') {
+        return res.status(400).json({ success: false, message: 'nextTermId must be an upcoming term' });
+      }
+    }
+
+    const { archivedSections } = await closeTerm(term, req.user.id);
+    await recordAudit(req, {
+      action: 'term.close', targetType: 'Term', targetId: term._id, targetLabel: term.name,
+      metadata: { archivedSections, nextTerm: next ? next._id : undefined },
+    });
+
+    if (next) {
+      const opened = await activateTerm(next, req.user.id);
+      if (opened.error) {
+        return res.status(400).json({ success: false, message: `${term.name} was closed, but: ${opened.error}`, term });
+      }
+      await recordAudit(req, {
+        action: 'term.activate', targetType: 'Term', targetId: next._id, targetLabel: next.name,
+        metadata: { previousTerm: term._id },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: next ? `${term.name} closed and ${next.name} opened` : `${term.name} closed`,
+      term,
+      activeTerm: next,
+      archivedSections,
+    });
+  } catch (error) {
+    console.error('Error closing term:', error);
+    res.status(500).json({ success: false, message: 'Failed to close term' });
+  }
+});
+
+module.exports = router;
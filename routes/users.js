@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const DataExport = require('../models/DataExport');
+const { protect, denyImpersonation } = require('../middleware/auth');
+const { issueTokens } = require('../utils/tokens');
+const { requestExport, matchesDownloadToken } = require('../utils/dataExport');
 const multer = require('multer');
 const cloudinaryConfig = require('../config/cloudinary');
 const hasCloudinary = cloudinaryConfig.hasCloudinary;
@@ -210,6 +215,214 @@ router.put('/profile/bio', protect, async (req, res) => {
   }
 });
 
+// Change password (requires the current password)
+// Signs out every other session and returns fresh tokens for this one
+router.put('/profile/password', protect, denyImpersonation, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    if (await user.matchPassword(newPassword)) {
+      return res.status(400).json({ success: false, message: 'New password must be different from the current password' });
+    }
+
+    // Saving a new password revokes all existing sessions (see models/User.js)
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({ success: true, message: 'Password changed successfully', token, refreshToken });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+});
+
+// Update profile details
+// specialization and dateOfBirth change immediately; firstName, lastName, idNumber and
+// department are sent to an admin for approval (department scopes some roles)
+router.put('/profile', protect, async (req, res) => {
+  try {
+    const { department, specialization, dateOfBirth, firstName, lastName, idNumber } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (dateOfBirth !== undefined && dateOfBirth !== null && dateOfBirth !== '' && isNaN(new Date(dateOfBirth).getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid date of birth' });
+    }
+
+    // Fields that need approval, only when they actually change
+    const requested = {};
+    if (firstName !== undefined && String(firstName).trim() && String(firstName).trim() !== user.firstName) {
+      requested.firstName = String(firstName).trim();
+    }
+    if (lastName !== undefined && String(lastName).trim() && String(lastName).trim() !== user.lastName) {
+      requested.lastName = String(lastName).trim();
+    }
+    if (idNumber !== undefined && String(idNumber).trim() && String(idNumber).trim() !== user.idNumber) {
+      requested.idNumber = String(idNumber).trim();
+      const taken = await User.findOne({ idNumber: requested.idNumber, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({ success: false, message: 'ID number is already in use' });
+      }
+    }
+
+    if (department !== undefined && String(department || '').trim() !== (user.department || '')) {
+      requested.department = String(department || '').trim();
+    }
+
+    if (specialization !== undefined) user.specialization = specialization;
+    if (dateOfBirth !== undefined) user.dateOfBirth = dateOfBirth || undefined;
+    await user.save();
+
+    let changeRequest = null;
+    if (Object.keys(requested).length) {
+      // Keep a single pending request per user; a new submission replaces the old one
+      changeRequest = await ProfileChangeRequest.findOne({ user: user._id, status: 'pending' });
+      if (!changeRequest) {
+        changeRequest = new ProfileChangeRequest({ user: user._id });
+      }
+      changeRequest.changes = requested;
+      changeRequest.previous = {
+        firstName: user.firstName, lastName: user.lastName, idNumber: user.idNumber, department: user.department,
+      };
+      await changeRequest.save();
+    }
+
+    const out = user.toObject();
+    delete out.password;
+
+    res.json({
+      success: true,
+      message: changeRequest ? 'Profile updated. Name, ID number and department changes are awaiting admin approval.' : 'Profile updated',
+      data: out,
+      changeRequest,
+    });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    res.status(500).json({ success: false, message: 'Failed to update profile' });
+  }
+});
+
+// Get own profile change requests
+router.get('/profile/change-requests', protect, async (req, res) => {
+  try {
+    const requests = await ProfileChangeRequest.find({ user: req.user.id }).sort({ createdAt: -1 });
+    res.json({ success: true, data: requests });
+  } catch (err) {
+    console.error('Error fetching profile change requests:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch profile change requests' });
+  }
+});
+
+// Cancel own pending profile change request
+router.delete('/profile/change-requests/:id', protect, async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findOne({ _id: req.params.id, user: req.user.id });
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Only pending requests can be cancelled' });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({ success: true, message: 'Request cancelled', data: request });
+  } catch (err) {
+    console.error('Error cancelling profile change request:', err);
+    res.status(500).json({ success: false, message: 'Failed to cancel request' });
+  }
+});
+
+// Request a copy of all personal data (built in the background)
+// POST /api/users/exports
+router.post('/exports', protect, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await requestExport(user._id, user);
+    if (result.error) {
+      return res.status(409).json({ success: false, message: result.error });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: result.export,
+      downloadUrl: result.downloadUrl,
+    });
+  } catch (err) {
+    console.error('Error requesting data export:', err);
+    res.status(500).json({ success: false, message: 'Failed to request data export' });
+  }
+});
+
+// List own data exports
+// GET /api/users/exports
+router.get('/exports', protect, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user.id }).sort({ createdAt: -1 }).limit(20);
+    res.json({ success: true, data: exports });
+  } catch (err) {
+    console.error('Error fetching data exports:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch data exports' });
+  }
+});
+
+// Download a finished export, either with the emailed ?token= link or while logged in
+// as the user, the admin who requested it, or anyone with user:manage
+// GET /api/users/exports/:id/download
+router.get('/exports/:id/download', (req, res, next) => (req.query.token ? next() : protect(req, res, next)), async (req, res) => {
+  try {
+    const job = await DataExport.findById(req.params.id).select('+filePath +downloadTokenHash');
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Export not found' });
+    }
+
+    const allowed = req.query.token
+      ? matchesDownloadToken(job, req.query.token)
+      : [job.user.toString(), job.requestedBy.toString()].includes(req.user.id) || req.can('user:manage');
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Not authorized to download this export' });
+    }
+
+    if (job.status !== 'ready' || !job.filePath || !fs.existsSync(job.filePath)) {
+      const message = job.status === 'expired' ? 'This export has expired. Please request a new one.' : `Export is ${job.status}`;
+      return res.status(job.status === 'expired' ? 410 : 409).json({ success: false, message });
+    }
+
+    await DataExport.updateOne({ _id: job._id }, { $inc: { downloadCount: 1 } });
+    res.download(job.filePath, `ttls-data-export-${job.completedAt.toISOString().slice(0, 10)}.zip`);
+  } catch (err) {
+    console.error('Error downloading data export:', err);
+    res.status(500).json({ success: false, message: 'Failed to download data export' });
+  }
+});
+
 // Get user profile by ID (for viewing other users' profiles)
 router.get('/profile/:userId', async (req, res) => {
   try {
@@ -0,0 +1,174 @@
+// Minimal OpenID Connect provider for trying SSO locally. Not for production.
+//
+//   npm run mock-oidc
+//
+// Then start the API with:
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=ttls-local
+//   OIDC_CLIENT_SECRET=ttls-local-secret
+//   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+//   OIDC_ROLE_MAP={"faculty":"teacher","students":"student"}
+//
+// Open http://localhost:<api port>/api/auth/oidc/login in a browser. The provider
+// shows a form where you choose the claims of the user to sign in as.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '4010', 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'ttls-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'ttls-local-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+const DEFAULT_CLAIMS = {
+  sub: 'mock-user-1',
+  email: 'jane.student@example.edu',
+  email_verified: 'true',
+  given_name: 'Jane',
+  family_name: 'Student',
+  preferred_username: '2024-0001',
+  roles: 'students',
+};
+
+const codes = new Map(); // code -> { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+const accessTokens = new Map(); // token -> claims
+
+const escapeHtml = (value) => String(value == null ? '' : value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+// Login form: pick the claims to sign in with
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (responseType !== 'code') return res.status(400).send('Only response_type=code is supported');
+  if (!req.query.code_challenge || method !== 'S256') return res.status(400).send('PKCE with S256 is required');
+  if (!redirectUri) return res.status(400).send('redirect_uri is required');
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+  const fields = Object.entries(DEFAULT_CLAIMS)
+    .map(([name, value]) => `<label>${name} <input name="${name}" value="${escapeHtml(value)}"></label><br>`)
+    .join('');
+
+  res.send(`<!doctype html><html><body style="font-family:sans-serif">
+<h2>Mock OIDC sign-in</h2>
+<p>Sign in to <strong>${escapeHtml(clientId)}</strong> as:</p>
+<form method="post" action="/authorize">${hidden}${fields}
+<p><small>roles may be a comma separated list</small></p>
+<button type="submit">Sign in</button>
+<button type="submit" name="deny" value="1">Cancel</button>
+</form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const target = new URL(redirectUri);
+  if (state) target.searchParams.set('state', state);
+
+  if (req.body.deny) {
+    target.searchParams.set('error', 'access_denied');
+    target.searchParams.set('error_description', 'The user cancelled the sign-in');
+    return res.redirect(target.toString());
+  }
+
+  const claims = {};
+  for (const name of Object.keys(DEFAULT_CLAIMS)) {
+    if (req.body[name]) claims[name] = req.body[name];
+  }
+  claims.email_verified = claims.email_verified === 'true';
+  if (claims.roles) claims.roles = claims.roles.split(',').map((r) => r.trim()).filter(Boolean);
+  claims.name = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    codeChallenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    claims,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+  const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId || entry.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...entry.claims, nonce: entry.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m',
+  });
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, entry.claims);
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: 'invalid_token' });
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -6,10 +6,42 @@ const socketIO = require('socket.io');
 require('dotenv').config();
 const connectDB = require('./config/database');
 
+// Links in emails and redirects are built from CLIENT_URL and SERVER_URL, never from
+// the request's Host header, so the server does not start without them
+['CLIENT_URL', 'SERVER_URL'].forEach((name) => {
+  if (!process.env[name]) {
+    console.error(`${name} is not set. See the environment variables in README.`);
+    process.exit(1);
+  }
+});
+
+const { reinstateExpiredSuspensions } = require('./utils/userStatus');
+const { purgeExpiredExports } = require('./utils/dataExport');
+
 // Connect to database
 connectDB();
 
+// Lift timed suspensions once their end date passes
+// (login and protect also check, so this just keeps statuses accurate for admins)
+setInterval(() => {
+  reinstateExpiredSuspensions()
+    .then((count) => count && console.log(`Reinstated ${count} user(s) whose suspension ended`))
+    .catch((err) => console.error('Suspension expiry check failed:', err));
+}, 60 * 1000);
+
+// Remove personal data exports once their download window has passed
+setInterval(() => {
+  purgeExpiredExports().catch((err) => console.error('Data export cleanup failed:', err));
+}, 60 * 60 * 1000);
+
 const app = express();
+
+// Behind a reverse proxy (Render, Nginx, ...) set TRUST_PROXY so req.ip is the client address.
+// Login lockouts are tracked per IP, so this matters.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 const server = http.createServer(app);
 const io = socketIO(server, {
   cors: { origin: true, credentials: true }
@@ -19,7 +51,7 @@ const io = socketIO(server, {
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 // Allow Authorization header in CORS preflight and enable credentials
-app.use(cors({ origin: true, credentials: true, allowedHeaders: ['Content-Type', 'Authorization'] }));
+app.use(cors({ origin: true, credentials: true, allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'] }));
 
 // Serve static files from uploads directory
 app.use('/uploads', express.static('uploads'));
@@ -27,10 +59,14 @@ app.use('/uploads', express.static('uploads'));
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/roles', require('./routes/roles'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/guardians', require('./routes/guardians'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 // Lesson routes (file uploads handled via Cloudinary)
 app.use('/api/lessons', require('./routes/lessons'));
+app.use('/api/sections', require('./routes/sections'));
+app.use('/api/terms', require('./routes/terms'));
 app.use('/api/activities', require('./routes/activities'));
 app.use('/api/progress', require('./routes/progress'));
 app.use('/api/assignments', require('./routes/assignments'));
@@ -0,0 +1,52 @@
+const AuditLog = require('../models/AuditLog');
+
+// Copy `fields` out of a document or plain object, for before/after snapshots
+const snapshot = (doc, fields) => {
+  if (!doc) return {};
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return fields.reduce((out, field) => {
+    out[field] = source[field];
+    return out;
+  }, {});
+};
+
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Fields whose value differs between two snapshots, as [{ field, before, after }]
+const diffChanges = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .map((field) => ({ field, before: normalize(before[field]), after: normalize(after[field]) }))
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+// Append an entry to the audit log for the current request. Failing to write the
+// entry is logged but never fails the action itself.
+const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, metadata }) => {
+  try {
+    const actor = req.actor || req.user || {};
+    await AuditLog.create({
+      actor: actor.id,
+      actorRole: actor.role,
+      onBehalfOf: req.impersonation ? req.user.id : undefined,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      targetLabel,
+      changes: before || after ? diffChanges(before, after) : [],
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (err) {
+    console.error(`Failed to write audit log (${action}):`, err);
+  }
+};
+
+// Display name used as targetLabel for users
+const userLabel = (user) => (user ? `${user.firstName} ${user.lastName} <${user.email}>` : undefined);
+
+module.exports = { recordAudit, snapshot, diffChanges, userLabel };
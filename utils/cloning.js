@@ -0,0 +1,184 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Module = require('../models/Module');
+const Lesson = require('../models/Lesson');
+const Assignment = require('../models/Assignment');
+const { cloudinary, hasCloudinary } = require('../config/cloudinary');
+
+// Deep copies of modules, lessons and their assignments, for reusing a course in a
+// new term or handing it to another teacher. Uploaded files are copied, never shared,
+// so deleting a copy (which destroys its uploads) cannot touch the original's files.
+// Copies start as unassigned drafts: no sections, status 'draft'.
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OFFSET_DAYS = 3650;
+
+// Read dueDateOffsetDays from a request body. Returns { days } or { error }.
+const readOffsetDays = (value) => {
+  if (value === undefined || value === null || value === '') return { days: 0 };
+  const days = Number(value);
+  if (!Number.isInteger(days) || Math.abs(days) > MAX_OFFSET_DAYS) {
+    return { error: `dueDateOffsetDays must be a whole number of days between -${MAX_OFFSET_DAYS} and ${MAX_OFFSET_DAYS}` };
+  }
+  return { days };
+};
+
+// Who owns a copy: the caller, or with content:manage-any another approved teacher or
+// admin given as `teacher`. Returns { ownerId } or { status, error }.
+const resolveOwner = async (req, teacherId) => {
+  if (!teacherId || String(teacherId) === String(req.user.id)) return { ownerId: req.user.id };
+  if (!req.can('content:manage-any')) {
+    return { status: 403, error: 'Not authorized to copy content for another teacher' };
+  }
+  const teacher = mongoose.Types.ObjectId.isValid(teacherId)
+    ? await User.findOne({ _id: teacherId, role: { $in: ['teacher', 'admin'] }, status: 'approved' }).select('_id')
+    : null;
+  if (!teacher) return { status: 400, error: 'teacher must be an approved teacher or admin account' };
+  return { ownerId: teacher._id };
+};
+
+const shiftDate = (date, days) => (date ? new Date(new Date(date).getTime() + days * DAY_MS) : date);
+
+// Copy one uploaded file: re-upload Cloudinary assets from their URL, copy files in
+// the local uploads folder. Links to anything else are not uploads and are kept as is.
+const copyUpload = async (url) => {
+  if (!url) return { url };
+
+  if (url.includes('res.cloudinary.com')) {
+    if (!hasCloudinary) throw new Error('Cloudinary is not configured');
+    const resourceType = (url.match(/\/(image|video|raw)\/upload\//) || [])[1] || 'auto';
+    const uploaded = await cloudinary.uploader.upload(url, {
+      folder: 'ttls_lessons',
+      resource_type: resourceType,
+      use_filename: true,
+      unique_filename: true,
+    });
+    return { url: uploaded.secure_url, public_id: uploaded.public_id };
+  }
+
+  const at = url.lastIndexOf('uploads/');
+  if (at === -1) return { url };
+  const name = path.basename(url.slice(at + 'uploads/'.length).split('?')[0]);
+  const copyName = `${Date.now()}_${crypto.randomBytes(3).toString('hex')}_${name}`;
+  await fs.promises.copyFile(path.join(UPLOAD_DIR, name), path.join(UPLOAD_DIR, copyName));
+  return { url: `${url.slice(0, at)}uploads/${copyName}`, public_id: null };
+};
+
+// Copy a list of { url, public_id, filename, fileType } files. Files that cannot be
+// copied are left out of the copy and added to report.skippedFiles.
+const copyFiles = async (files, report) => {
+  const copies = [];
+  for (const file of files || []) {
+    try {
+      const copied = await copyUpload(file.url);
+      copies.push({ filename: file.filename, fileType: file.fileType, ...copied });
+    } catch (err) {
+      console.warn('Failed to copy file', file.filename, err.message || err);
+      report.skippedFiles.push({ filename: file.filename, url: file.url, reason: err.message || String(err) });
+    }
+  }
+  return copies;
+};
+
+const copyCoverPhoto = async (url, report) => {
+  if (!url) return '';
+  const [copy] = await copyFiles([{ url, filename: 'cover photo' }], report);
+  return copy ? copy.url : '';
+};
+
+const newReport = () => ({ modules: 0, lessons: 0, assignments: 0, skippedFiles: [] });
+
+// Copy an assignment, with its quiz questions and attachments, onto `lessonId`
+const cloneAssignment = async (assignment, { ownerId, lessonId, offsetDays, report }) => {
+  const copy = await Assignment.create({
+    title: assignment.title,
+    description: assignment.description,
+    instructions: assignment.instructions,
+    lesson: lessonId,
+    type: assignment.type,
+    dueDate: shiftDate(assignment.dueDate, offsetDays),
+    createdBy: ownerId,
+    attachments: await copyFiles(assignment.attachments, report),
+    // New question ids: submissions to the copy are kept apart from the original's
+    questions: (assignment.questions || []).map((q) => {
+      const { _id, ...question } = q.toObject();
+      return question;
+    }),
+    totalPoints: assignment.totalPoints,
+    allowAutomaticGrading: assignment.allowAutomaticGrading,
+    allowResubmission: assignment.allowResubmission,
+    status: 'draft',
+    publishAt: shiftDate(assignment.publishAt, offsetDays),
+    availableUntil: shiftDate(assignment.availableUntil, offsetDays),
+  });
+  report.assignments += 1;
+  return copy;
+};
+
+// Copy a lesson with its links and files, and the assignments attached to it.
+// `visibility` (see utils/sections contentVisibility) leaves out assignments the
+// caller cannot see, such as other teachers' drafts.
+const cloneLesson = async (lesson, { ownerId, moduleId, title, offsetDays, visibility, report }) => {
+  const copy = await Lesson.create({
+    title: title || lesson.title,
+    description: lesson.description,
+    files: await copyFiles(lesson.files, report),
+    links: (lesson.links || []).map(({ url, label }) => ({ url, label })),
+    youtubeLink: lesson.youtubeLink,
+    iframeUrl: lesson.iframeUrl,
+    iframeTitle: lesson.iframeTitle,
+    createdBy: ownerId,
+    category: lesson.category,
+    module: moduleId,
+    folder: moduleId,
+    coverPhoto: await copyCoverPhoto(lesson.coverPhoto, report),
+    status: 'draft',
+    publishAt: shiftDate(lesson.publishAt, offsetDays),
+    availableUntil: shiftDate(lesson.availableUntil, offsetDays),
+  });
+  report.lessons += 1;
+
+  const assignments = await Assignment.find({ lesson: lesson._id, ...(visibility && visibility.assignments) }).sort({ _id: 1 });
+  for (const assignment of assignments) {
+    await cloneAssignment(assignment, { ownerId, lessonId: copy._id, offsetDays, report });
+  }
+  return copy;
+};
+
+// Copy a module with its lessons and their assignments (those `visibility` allows)
+const cloneModule = async (module, { ownerId, title, moduleNumber, offsetDays, visibility, report }) => {
+  const copy = await Module.create({
+    title: title || module.title,
+    description: module.description,
+    category: module.category,
+    moduleNumber: moduleNumber !== undefined ? moduleNumber : module.moduleNumber,
+    createdBy: ownerId,
+    iframeUrl: module.iframeUrl,
+    iframeTitle: module.iframeTitle,
+    coverPhoto: await copyCoverPhoto(module.coverPhoto, report),
+    status: 'draft',
+    publishAt: shiftDate(module.publishAt, offsetDays),
+    availableUntil: shiftDate(module.availableUntil, offsetDays),
+  });
+  report.modules += 1;
+
+  const lessons = await Lesson.find({ module: module._id, ...(visibility && visibility.lessons) }).sort({ createdAt: 1 });
+  for (const lesson of lessons) {
+    await cloneLesson(lesson, { ownerId, moduleId: copy._id, offsetDays, visibility, report });
+  }
+  return copy;
+};
+
+module.exports = {
+  readOffsetDays,
+  resolveOwner,
+  shiftDate,
+  newReport,
+  cloneAssignment,
+  cloneLesson,
+  cloneModule,
+};
@@ -0,0 +1,73 @@
+// Minimal CSV parser (RFC 4180): comma separated, double-quoted fields may contain
+// commas, newlines and escaped quotes (""). Returns an array of rows (arrays of strings).
+const parseCsv = (input) => {
+  const text = String(input || '').replace(/^﻿/, ''); // strip BOM left by Excel
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it instead of
+// running it (names, titles and reasons come from users). Numbers are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from objects. `columns` is a list of keys, or of { key, header }.
+const toCsv = (records, columns) => {
+  const cols = columns.map((c) => (typeof c === 'string' ? { key: c, header: c } : c));
+  const lines = [cols.map((c) => escapeField(c.header)).join(',')];
+  for (const record of records) {
+    lines.push(cols.map((c) => escapeField(record[c.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const axios = require('axios');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Submission = require('../models/Submission');
+const Activity = require('../models/Activity');
+const Message = require('../models/Message');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const LessonView = require('../models/LessonView');
+const Progress = require('../models/Progress');
+const { toCsv } = require('./csv');
+const { hashToken } = require('./tokens');
+const { sendEmail, buildServerUrl } = require('./sendEmail');
+
+const EXPORT_DIR = path.join(__dirname, '..', 'exports');
+const UPLOAD_DIR = path.resolve(__dirname, '..', 'uploads');
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS || '7', 10);
+const FILE_TIMEOUT_MS = 30 * 1000;
+// Exports still queued/processing after this were interrupted (e.g. by a restart)
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// Fields never included in an export
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastStep',
+  'twoFactorRecoveryCodes',
+];
+
+const safeName = (name) => String(name || 'file').replace(/[\\/]+/g, '_').replace(/[^A-Za-z0-9_.\-() ]+/g, '').slice(0, 120) || 'file';
+
+// Exports run one at a time so a burst of requests can't swamp the server
+let queue = Promise.resolve();
+
+const enqueue = (exportId, options) => {
+  queue = queue
+    .then(() => buildExport(exportId, options))
+    .catch((err) => console.error(`Data export ${exportId} failed:`, err));
+};
+
+// Add an uploaded file to the archive and wait until it has been written, so
+// remote downloads happen one after another. Remote files are downloaded to a
+// temporary file first: a download that fails only leaves that file out, where a
+// source stream failing inside archiver would break the whole archive. Errors of the
+// archive itself are thrown.
+const appendFile = async (archive, file, name, missing) => {
+  let tempPath = null;
+  let localPath;
+  try {
+    if (file.url && /^https?:\/\//i.test(file.url)) {
+      const resp = await axios.get(file.url, { responseType: 'stream', timeout: FILE_TIMEOUT_MS });
+      tempPath = path.join(EXPORT_DIR, `${crypto.randomBytes(8).toString('hex')}.part`);
+      await pipeline(resp.data, fs.createWriteStream(tempPath));
+      localPath = tempPath;
+    } else if (file.url) {
+      localPath = path.resolve(__dirname, '..', file.url.replace(/^\/+/, ''));
+      if (!localPath.startsWith(UPLOAD_DIR + path.sep) || !fs.existsSync(localPath)) throw new Error('file not found');
+    } else {
+      throw new Error('no file location');
+    }
+  } catch (err) {
+    if (tempPath) fs.rm(tempPath, { force: true }, () => {});
+    missing.push(`${name}: ${err.message}`);
+    return;
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      const onEntry = (entry) => {
+        if (entry.name !== name) return;
+        archive.removeListener('entry', onEntry);
+        archive.removeListener('error', onError);
+        resolve();
+      };
+      const onError = (err) => {
+        archive.removeListener('entry', onEntry);
+        reject(err);
+      };
+      archive.on('entry', onEntry);
+      archive.once('error', onError);
+      archive.append(fs.createReadStream(localPath), { name });
+    });
+  } finally {
+    if (tempPath) fs.rm(tempPath, { force: true }, () => {});
+  }
+};
+
+const collectData = async (userId) => {
+  const user = await User.findById(userId)
+    .select(`+loginHistory +statusHistory +suspensionHistory ${PRIVATE_USER_FIELDS.map((f) => `-${f}`).join(' ')}`)
+    .populate('customRole', 'name')
+    .lean();
+
+  const [submissions, activities, messages, comments, reports, lessonViews, progress, sessions] = await Promise.all([
+    Submission.find({ student: userId }).populate('assignment', 'title type dueDate').lean(),
+    Activity.find({ 'submissions.student': userId }).select('title dueDate submissions').lean(),
+    Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] })
+      .populate('senderId', 'firstName lastName')
+      .populate('receiverId', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Comment.find({ user: userId }).populate('lesson', 'title').sort({ createdAt: 1 }).lean(),
+    Report.find({ reporter: userId }).sort({ createdAt: 1 }).lean(),
+    LessonView.find({ student: userId }).populate('lesson', 'title').lean(),
+    Progress.find({ student: userId }).populate('lesson', 'title').populate('activity', 'title').lean(),
+    Session.find({ user: userId }).select('userAgent ip createdAt lastUsedAt expiresAt revokedAt').lean(),
+  ]);
+
+  const activitySubmissions = activities.map((activity) => ({
+    activity: { _id: activity._id, title: activity.title, dueDate: activity.dueDate },
+    submissions: (activity.submissions || []).filter((s) => s.student && s.student.toString() === userId.toString()),
+  }));
+
+  return { user, submissions, activitySubmissions, messages, comments, reports, lessonViews, progress, sessions };
+};
+
+const writeArchive = async (zipPath, data) => {
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Handled right away so an archive error can't go unhandled and end the process;
+  // it is rethrown below and buildExport marks the export failed
+  let failure = null;
+  finished.catch((err) => { failure = err; });
+  archive.pipe(output);
+
+  try {
+    await addEntries(archive, data, () => failure);
+    await finished;
+  } catch (err) {
+    archive.abort();
+    output.destroy();
+    throw err;
+  }
+};
+
+// Everything that goes into the archive. `failed` returns the archive's error, if any.
+const addEntries = async (archive, data, failed) => {
+
+  const json = (name, value) => archive.append(JSON.stringify(value, null, 2), { name });
+  const missing = [];
+  const addFile = async (file, name) => {
+    if (failed()) throw failed();
+    await appendFile(archive, file, name, missing);
+  };
+
+  json('profile.json', data.user);
+  json('sessions.json', data.sessions);
+  json('submissions.json', data.submissions);
+  json('activity-submissions.json', data.activitySubmissions);
+  json('messages.json', data.messages);
+  json('comments.json', data.comments);
+  json('reports.json', data.reports);
+  json('lesson-views.json', data.lessonViews);
+  json('progress.json', data.progress);
+
+  archive.append(toCsv(
+    [
+      ...data.submissions.map((s) => ({
+        source: 'assignment',
+        title: s.assignment ? s.assignment.title : '',
+        type: s.assignment ? s.assignment.type : '',
+        submittedAt: s.submittedAt,
+        grade: s.grade,
+        totalScore: s.totalScore,
+        gradePercentage: s.gradePercentage,
+        feedback: s.feedback,
+        gradedAt: s.gradedAt,
+      })),
+      ...data.activitySubmissions.flatMap((a) => a.submissions.map((s) => ({
+        source: 'activity',
+        title: a.activity.title,
+        submittedAt: s.submittedAt,
+        grade: s.grade,
+        feedback: s.feedback,
+      }))),
+    ],
+    ['source', 'title', 'type', 'submittedAt', 'grade', 'totalScore', 'gradePercentage', 'feedback', 'gradedAt']
+  ), { name: 'grades.csv' });
+
+  archive.append(toCsv(
+    data.lessonViews.map((v) => ({
+      lesson: v.lesson ? v.lesson.title : '',
+      openedAt: v.openedAt,
+      lastViewedAt: v.lastViewedAt,
+      viewCount: v.viewCount,
+      completed: v.completed,
+      completedAt: v.completedAt,
+    })),
+    ['lesson', 'openedAt', 'lastViewedAt', 'viewCount', 'completed', 'completedAt']
+  ), { name: 'lesson-views.csv' });
+
+  archive.append(toCsv(
+    data.progress.map((p) => ({
+      lesson: p.lesson ? p.lesson.title : '',
+      activity: p.activity ? p.activity.title : '',
+      status: p.status,
+      score: p.score,
+      updatedAt: p.updatedAt,
+    })),
+    ['lesson', 'activity', 'status', 'score', 'updatedAt']
+  ), { name: 'progress.csv' });
+
+  // Uploaded files
+  for (const [field, label] of [['profilePicture', 'profile-picture'], ['coverPhoto', 'cover-photo']]) {
+    const url = data.user[field];
+    if (url) await addFile({ url }, `files/profile/${label}${path.extname(url.split('?')[0]) || ''}`);
+  }
+  for (const s of data.submissions) {
+    const files = [...(s.files || []), ...(s.answers || []).flatMap((a) => a.files || [])];
+    for (const [i, f] of files.entries()) {
+      await addFile(f, `files/submissions/${s._id}/${i + 1}-${safeName(f.filename)}`);
+    }
+  }
+  for (const a of data.activitySubmissions) {
+    for (const s of a.submissions) {
+      for (const [i, f] of (s.files || []).entries()) {
+        await addFile(f, `files/activities/${a.activity._id}/${i + 1}-${safeName(f.filename)}`);
+      }
+    }
+  }
+
+  archive.append(
+    [
+      'TTLS personal data export',
+      `Generated: ${new Date().toISOString()}`,
+      '',
+      'profile.json                 Account details, login, status and suspension history',
+      'sessions.json                Devices and IP addresses you signed in from',
+      'submissions.json             Assignment submissions with grades and feedback',
+      'activity-submissions.json    Activity submissions with grades and feedback',
+      'grades.csv                   All grades in one table',
+      'messages.json                Messages you sent and received',
+      'comments.json                Comments on lessons',
+      'reports.json                 Reports and feedback you submitted',
+      'lesson-views.json/.csv       Lessons you opened and completed',
+      'progress.json/.csv           Progress records',
+      'files/                       Uploaded files',
+      ...(missing.length ? ['', 'Files that could not be included:', ...missing] : []),
+      '',
+    ].join('\n'),
+    { name: 'README.txt' }
+  );
+
+  if (failed()) throw failed();
+  await archive.finalize();
+};
+
+const buildExport = async (exportId, { downloadUrl, notifyEmail } = {}) => {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'queued' },
+    { status: 'processing' },
+    { new: true }
+  );
+  if (!job) return;
+
+  const zipPath = path.join(EXPORT_DIR, `${job._id}.zip`);
+  try {
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const data = await collectData(job.user);
+    if (!data.user) throw new Error('User no longer exists');
+
+    await writeArchive(zipPath, data);
+
+    job.status = 'ready';
+    job.filePath = zipPath;
+    job.fileSize = fs.statSync(zipPath).size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await job.save();
+
+    if (notifyEmail && downloadUrl) {
+      sendEmail({
+        to: notifyEmail,
+        subject: 'Your TTLS data export is ready',
+        text: `Your data export is ready. Download it within ${EXPORT_TTL_DAYS} days:\n\n${downloadUrl}`,
+        html: `<p>Your data export is ready. Download it within ${EXPORT_TTL_DAYS} days:</p><p><a href="${downloadUrl}">${downloadUrl}</a></p>`,
+      }).catch((err) => console.error('Failed to send data export email:', err));
+    }
+  } catch (err) {
+    console.error(`Data export ${job._id} failed:`, err);
+    fs.rm(zipPath, { force: true }, () => {});
+    job.status = 'failed';
+    job.error = err.message;
+    await job.save();
+  }
+};
+
+// Create an export for `userId` and queue it. Returns { export, downloadUrl }, or
+// { error } while another export for the user is still running. The URL carries a
+// token so it works without logging in, and is emailed to `requester` when ready.
+const requestExport = async (userId, requester) => {
+  const running = await DataExport.exists({ user: userId, status: { $in: ['queued', 'processing'] } });
+  if (running) return { error: 'An export for this user is already in progress' };
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const job = await DataExport.create({
+    user: userId,
+    requestedBy: requester._id,
+    downloadTokenHash: hashToken(token),
+  });
+
+  const downloadUrl = buildServerUrl(`/api/users/exports/${job._id}/download?token=${token}`);
+  enqueue(job._id, { downloadUrl, notifyEmail: requester.email });
+  return { export: job, downloadUrl };
+};
+
+// Whether a download token belongs to this export
+const matchesDownloadToken = (job, token) => !!token && job.downloadTokenHash === hashToken(String(token));
+
+// Delete archives past their expiry and fail jobs that never finished
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+filePath');
+  for (const job of expired) {
+    if (job.filePath) fs.rm(job.filePath, { force: true }, () => {});
+    job.status = 'expired';
+    job.filePath = undefined;
+    await job.save();
+  }
+
+  await DataExport.updateMany(
+    { status: { $in: ['queued', 'processing'] }, updatedAt: { $lte: new Date(Date.now() - STALE_AFTER_MS) } },
+    { status: 'failed', error: 'Export was interrupted. Please request a new one.' }
+  );
+  return expired.length;
+};
+
+module.exports = { requestExport, matchesDownloadToken, purgeExpiredExports };
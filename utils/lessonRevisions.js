@@ -0,0 +1,125 @@
+const LessonRevision = require('../models/LessonRevision');
+const { snapshot, diffChanges } = require('./audit');
+
+// Lesson fields kept in each revision, and put back by a restore
+const REVISION_FIELDS = [
+  'title', 'description', 'youtubeLink', 'iframeUrl', 'iframeTitle', 'category', 'module',
+  'coverPhoto', 'links', 'files', 'sections', 'status', 'publishAt', 'availableUntil',
+];
+
+// Plain JSON copy of a lesson's revisioned fields. Links get new ids whenever the
+// list is sent again, so only their url and label are kept.
+const lessonSnapshot = (lesson) => {
+  const copy = JSON.parse(JSON.stringify(snapshot(lesson, REVISION_FIELDS)));
+  copy.links = (copy.links || []).map(({ url, label }) => ({ url, label }));
+  return copy;
+};
+
+const fileKey = (file) => String(file._id || file.url);
+
+// What changed from one snapshot to another: the fields as [{ field, before, after }]
+// and the files added and removed
+const diffSnapshots = (from = {}, to = {}) => {
+  const fromKeys = new Set((from.files || []).map(fileKey));
+  const toKeys = new Set((to.files || []).map(fileKey));
+  return {
+    changes: diffChanges(from, to),
+    files: {
+      added: (to.files || []).filter((f) => !fromKeys.has(fileKey(f))),
+      removed: (from.files || []).filter((f) => !toKeys.has(fileKey(f))),
+    },
+  };
+};
+
+// Record a save of `lesson`, given its snapshot from before the save. Saves that
+// change nothing are not recorded. Like the audit log, a failure is logged but never
+// fails the save itself. Returns the revision, or null.
+const recordLessonRevision = async (req, lesson, before, { action = 'update', restoredFrom, restoredState } = {}) => {
+  const after = lessonSnapshot(lesson);
+  const changedFields = diffChanges(before, after).map((change) => change.field);
+  if (!changedFields.length) return null;
+
+  // The unique (lesson, number) index settles two saves racing for the same number
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      const last = await LessonRevision.findOne({ lesson: lesson._id }).sort({ number: -1 }).select('number');
+      return await LessonRevision.create({
+        lesson: lesson._id,
+        number: last ? last.number + 1 : 1,
+        action,
+        editedBy: req.user.id,
+        changedFields,
+        before,
+        after,
+        restoredFrom,
+        restoredState,
+      });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      console.error(`Failed to record revision of lesson ${lesson._id}:`, err);
+      return null;
+    }
+  }
+  console.error(`Failed to record revision of lesson ${lesson._id}: revision number taken`);
+  return null;
+};
+
+// Ids of the lesson's files that were deleted with DELETE /api/lessons/:id/files/:fileId.
+// Their uploads are gone, so a restore cannot bring them back.
+const deletedFileKeys = async (lessonId) => {
+  const revisions = await LessonRevision.find({ lesson: lessonId, action: 'file-delete' }).select('before.files after.files');
+  const keys = new Set();
+  for (const revision of revisions) {
+    diffSnapshots(revision.before, revision.after).files.removed.forEach((f) => keys.add(fileKey(f)));
+  }
+  return keys;
+};
+
+// Cover photos are stored as a URL only; Cloudinary ones are named <folder>/<id>.<ext>
+const coverPhotoFile = (url) => ({
+  url,
+  filename: 'cover photo',
+  public_id: url.includes('res.cloudinary.com') ? url.split('/').slice(-2).join('/').split('.')[0] : null,
+});
+
+// Files and cover photos only the revision history still refers to (for example
+// files dropped by restoring an older version, or replaced cover photos), so deleting
+// the lessons can remove their uploads
+const revisionOnlyFiles = async (lessons) => {
+  const revisions = await LessonRevision.find({ lesson: { $in: lessons.map((l) => l._id) } })
+    .select('action before.files after.files before.coverPhoto after.coverPhoto');
+  // Files already in the lessons are removed with them, and deleted files are gone
+  const skip = new Set(lessons.flatMap((l) => (l.files || []).map(fileKey)));
+  revisions
+    .filter((revision) => revision.action === 'file-delete')
+    .forEach((revision) => diffSnapshots(revision.before, revision.after).files.removed.forEach((f) => skip.add(fileKey(f))));
+
+  const files = [];
+  for (const revision of revisions) {
+    for (const file of [...((revision.before || {}).files || []), ...((revision.after || {}).files || [])]) {
+      if (skip.has(fileKey(file))) continue;
+      skip.add(fileKey(file));
+      files.push(file);
+    }
+  }
+
+  // The lessons' current cover photos are not revision-only
+  const covers = new Set(lessons.map((l) => l.coverPhoto).filter(Boolean));
+  for (const revision of revisions) {
+    for (const url of [(revision.before || {}).coverPhoto, (revision.after || {}).coverPhoto]) {
+      if (!url || covers.has(url)) continue;
+      covers.add(url);
+      files.push(coverPhotoFile(url));
+    }
+  }
+  return files;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  lessonSnapshot,
+  diffSnapshots,
+  recordLessonRevision,
+  deletedFileKeys,
+  revisionOnlyFiles,
+};
@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Lockout policy. Each lock doubles the previous duration up to MAX_LOCK_MS.
+const USER_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10);
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const LOGIN_HISTORY_SIZE = 20;
+
+const lockDurationMs = (lockCount) => Math.min(BASE_LOCK_MS * 2 ** lockCount, MAX_LOCK_MS);
+
+const isLocked = (doc) => !!(doc && doc.lockUntil && doc.lockUntil > new Date());
+
+const historyEntry = (req, success, reason) => ({
+  at: new Date(),
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success,
+  reason,
+});
+
+// Returns the lock expiry for this IP, or null when it may try again
+const getIpLock = async (ip) => {
+  const throttle = await LoginThrottle.findOne({ ip });
+  return isLocked(throttle) ? throttle.lockUntil : null;
+};
+
+const recordIpFailure = async (ip) => {
+  let throttle = await LoginThrottle.findOne({ ip });
+  if (!throttle) {
+    throttle = new LoginThrottle({ ip });
+  } else if (Date.now() - throttle.lastFailedAt.getTime() > ATTEMPT_WINDOW_MS) {
+    // Old failures no longer count
+    throttle.failedAttempts = 0;
+  }
+
+  throttle.failedAttempts += 1;
+  throttle.lastFailedAt = new Date();
+
+  if (throttle.failedAttempts >= IP_MAX_ATTEMPTS) {
+    throttle.lockUntil = new Date(Date.now() + lockDurationMs(throttle.lockCount));
+    throttle.lockCount += 1;
+    throttle.failedAttempts = 0;
+  }
+
+  await throttle.save();
+};
+
+// Count a failed attempt against the account; locks it once the limit is reached.
+// Uses atomic updates so the user document (and its password hook) isn't re-saved.
+const recordUserFailure = async (user, req, reason) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $push: { loginHistory: { $each: [historyEntry(req, false, reason)], $slice: -LOGIN_HISTORY_SIZE } },
+    },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= USER_MAX_ATTEMPTS) {
+    const lockCount = updated.lockCount || 0;
+    await User.updateOne(
+      { _id: user._id },
+      {
+        lockUntil: new Date(Date.now() + lockDurationMs(lockCount)),
+        lockCount: lockCount + 1,
+        failedLoginAttempts: 0,
+      }
+    );
+  }
+};
+
+// Log an attempt on a locked account without extending the lock
+const recordLockedAttempt = (user, req) => {
+  return User.updateOne(
+    { _id: user._id },
+    { $push: { loginHistory: { $each: [historyEntry(req, false, 'locked')], $slice: -LOGIN_HISTORY_SIZE } } }
+  );
+};
+
+const recordUserSuccess = (user, req) => {
+  return User.updateOne(
+    { _id: user._id },
+    {
+      failedLoginAttempts: 0,
+      lockCount: 0,
+      lockUntil: null,
+      lastLoginAt: new Date(),
+      $push: { loginHistory: { $each: [historyEntry(req, true)], $slice: -LOGIN_HISTORY_SIZE } },
+    }
+  );
+};
+
+module.exports = {
+  isLocked,
+  getIpLock,
+  recordIpFailure,
+  recordUserFailure,
+  recordLockedAttempt,
+  recordUserSuccess,
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcLogin = require('../models/OidcLogin');
+const { oidcConfig } = require('../config/oidc');
+const { hashToken } = require('./tokens');
+
+// OpenID Connect authorization-code flow with PKCE:
+//   1. startLogin        - send the browser to the provider with state, nonce and a code challenge,
+//                          and tie the state to that browser with a cookie
+//   2. completeCallback  - swap the returned code for tokens, verify the ID token, find the user
+//   3. redeemLoginCode   - the client trades the one-time login code for TTLS tokens
+
+const LOGIN_TTL_MS = 10 * 60 * 1000; // time allowed at the provider
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+// When a user's claim maps to several roles, the most privileged wins
+const ROLE_PRIORITY = ['admin', 'teacher', 'student', 'guardian'];
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Holds a hash of the state, so a callback URL only completes a sign-in in the browser
+// that started it (otherwise anyone could sign a victim in as themselves)
+const STATE_COOKIE = 'ttls_oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+const readCookie = (req, name) => {
+  const pair = String(req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+let discovery = null;
+let jwks = null;
+
+// Provider metadata from /.well-known/openid-configuration (cached)
+const discover = async () => {
+  if (discovery && Date.now() - discovery.fetchedAt < DISCOVERY_TTL_MS) return discovery.metadata;
+
+  const { data } = await axios.get(`${oidcConfig.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  if (!data || data.issuer.replace(/\/+$/, '') !== oidcConfig.issuer) {
+    throw new Error('OIDC discovery document does not match OIDC_ISSUER');
+  }
+  discovery = { metadata: data, fetchedAt: Date.now() };
+  return data;
+};
+
+// Public key for an ID token signature. The key set is fetched again when an
+// unknown key id shows up (the provider rotated its keys).
+const getSigningKey = async (kid) => {
+  const findKey = () => (jwks ? jwks.keys.find((k) => (kid ? k.kid === kid : jwks.keys.length === 1)) : null);
+
+  let jwk = findKey();
+  if (!jwk && (!jwks || Date.now() - jwks.fetchedAt > JWKS_REFRESH_MS)) {
+    const { jwks_uri: jwksUri } = await discover();
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    jwks = { keys: (data && data.keys) || [], fetchedAt: Date.now() };
+    jwk = findKey();
+  }
+  if (!jwk) throw new Error('No matching key for the ID token signature');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Never built from the Host header, which a client can forge
+const getRedirectUri = () => oidcConfig.redirectUri;
+
+// Only allow returning to a path on the client, never another site
+const safeReturnTo = (value) => (typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/');
+
+// Read a claim, allowing dotted paths for nested claims (e.g. realm_access.roles)
+const claimValue = (claims, name) => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+// Step 1: record the attempt, set the state cookie on `res` and return the provider's
+// authorization URL
+const startLogin = async (req, res, returnTo) => {
+  const metadata = await discover();
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OidcLogin.create({
+    state,
+    nonce,
+    codeVerifier,
+    returnTo: safeReturnTo(returnTo),
+    expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+  });
+  res.cookie(STATE_COOKIE, hashToken(state), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: LOGIN_TTL_MS,
+    path: STATE_COOKIE_PATH,
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', oidcConfig.clientId);
+  url.searchParams.set('redirect_uri', getRedirectUri());
+  url.searchParams.set('scope', oidcConfig.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+};
+
+const exchangeCode = async (code, codeVerifier) => {
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(),
+    client_id: oidcConfig.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (oidcConfig.clientSecret) params.set('client_secret', oidcConfig.clientSecret);
+
+  const { data } = await axios.post(metadata.token_endpoint, params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  return data;
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const metadata = await discover();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('ID token is missing or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SIGNING_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: oidcConfig.clientId,
+  });
+
+  if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+  return claims;
+};
+
+// Claims from the ID token, topped up from the userinfo endpoint when the provider has one
+const fetchClaims = async (tokens, nonce) => {
+  if (!tokens || !tokens.id_token) throw new Error('Provider did not return an ID token');
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+
+  const metadata = await discover();
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const { data } = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: HTTP_TIMEOUT_MS,
+      });
+      if (data && data.sub === claims.sub) return { ...data, ...claims };
+    } catch (err) {
+      console.warn('OIDC userinfo request failed:', err.message);
+    }
+  }
+  return claims;
+};
+
+// TTLS role for a new user from the configured role claim
+const mapRole = (claims) => {
+  const raw = claimValue(claims, oidcConfig.roleClaim);
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  const mapped = values.map((value) => oidcConfig.roleMap[value]);
+  const role = ROLE_PRIORITY.find((r) => mapped.includes(r));
+  if (role) return role;
+  return ROLE_PRIORITY.includes(oidcConfig.defaultRole) ? oidcConfig.defaultRole : 'student';
+};
+
+const splitName = (claims) => {
+  const parts = String(claims.name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: claims.given_name || parts.slice(0, -1).join(' ') || parts[0],
+    lastName: claims.family_name || (parts.length > 1 ? parts[parts.length - 1] : undefined),
+  };
+};
+
+// Create a pending account for someone the provider knows but TTLS doesn't
+const provisionUser = async (claims, issuer, email, idNumber) => {
+  const { firstName, lastName } = splitName(claims);
+  if (!email || !idNumber || !firstName || !lastName) {
+    return { error: 'Your sign-in did not include the name, email and ID number needed to create an account. Please contact admin.' };
+  }
+  if (await User.exists({ $or: [{ email: email.toLowerCase() }, { idNumber }] })) {
+    return { error: 'An account with this email or ID number already exists. Please contact admin.' };
+  }
+
+  const user = await User.create({
+    idNumber,
+    firstName,
+    lastName,
+    email,
+    // Never used: SSO users sign in through the provider (or reset a password by email)
+    password: crypto.randomBytes(32).toString('hex'),
+    role: mapRole(claims),
+    status: 'pending',
+    emailVerified: claims.email_verified === true,
+    emailVerifiedAt: claims.email_verified === true ? new Date() : undefined,
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+  return { user, provisioned: true };
+};
+
+// Find the TTLS account for the provider's claims: by linked subject, then by
+// email when the provider says it is verified, then (with OIDC_LINK_BY_ID_NUMBER) by
+// ID number. The first match is linked to the subject. Returns { user, provisioned }
+// or { error }.
+const resolveUser = async (claims) => {
+  const { issuer } = await discover();
+
+  const linked = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+  if (linked) return { user: linked, provisioned: false };
+
+  const email = claimValue(claims, oidcConfig.emailClaim);
+  const idNumberClaim = claimValue(claims, oidcConfig.idNumberClaim);
+  const idNumber = idNumberClaim ? String(idNumberClaim).trim() : undefined;
+
+  let user = null;
+  if (email && claims.email_verified === true) user = await User.findOne({ email: String(email).toLowerCase() });
+  if (!user && idNumber && oidcConfig.linkByIdNumber) user = await User.findOne({ idNumber });
+
+  if (!user) {
+    if (!oidcConfig.autoProvision) {
+      return { error: 'No TTLS account matches this sign-in. Please contact admin.' };
+    }
+    return provisionUser(claims, issuer, email, idNumber);
+  }
+
+  if (user.oidcSubject) {
+    return { error: 'This TTLS account is already linked to a different sign-in.' };
+  }
+  user.oidcIssuer = issuer;
+  user.oidcSubject = claims.sub;
+  await User.updateOne({ _id: user._id }, { oidcIssuer: issuer, oidcSubject: claims.sub });
+  return { user, provisioned: false };
+};
+
+// Step 2: handle the provider's redirect. The state must match the cookie set by
+// startLogin, which is cleared on `res`. Returns { loginCode, returnTo, provisioned } or { error }.
+const completeCallback = async (req, res, { code, state }) => {
+  const stateHash = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+  if (!code || !state) return { error: 'Sign-in was cancelled or failed' };
+  if (!stateHash || stateHash !== hashToken(String(state))) {
+    return { error: 'Sign-in must be finished in the browser it was started in. Please try again.' };
+  }
+
+  // Each state can only be used once
+  const login = await OidcLogin.findOneAndUpdate(
+    { state, callbackAt: null, expiresAt: { $gt: new Date() } },
+    { callbackAt: new Date() },
+    { new: true }
+  ).select('+codeVerifier');
+  if (!login) return { error: 'Sign-in session expired. Please try again.' };
+
+  const tokens = await exchangeCode(code, login.codeVerifier);
+  const claims = await fetchClaims(tokens, login.nonce);
+
+  const result = await resolveUser(claims);
+  if (result.error) return { error: result.error, returnTo: login.returnTo };
+
+  const loginCode = randomToken();
+  login.user = result.user._id;
+  login.loginCodeHash = hashToken(loginCode);
+  login.expiresAt = new Date(Date.now() + LOGIN_CODE_TTL_MS);
+  await login.save();
+
+  return { loginCode, returnTo: login.returnTo, provisioned: result.provisioned };
+};
+
+// Step 3: returns the user for an unused login code, or null
+const redeemLoginCode = async (loginCode) => {
+  if (!loginCode) return null;
+  const login = await OidcLogin.findOneAndUpdate(
+    { loginCodeHash: hashToken(String(loginCode)), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  return login ? User.findById(login.user) : null;
+};
+
+module.exports = { startLogin, completeCallback, redeemLoginCode, mapRole, safeReturnTo };
@@ -0,0 +1,80 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { SYSTEM_ROLES, hasPermission } = require('../config/permissions');
+
+// Roles are read on every authenticated request, so keep them in memory briefly.
+// Role changes through routes/roles.js clear the cache straight away.
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = new Map();
+
+const clearRoleCache = () => {
+  roleCache = new Map();
+};
+
+const cached = async (key, load) => {
+  const hit = roleCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.role;
+  const role = await load();
+  roleCache.set(key, { role, expires: Date.now() + CACHE_TTL_MS });
+  return role;
+};
+
+// System role by name, created from config/permissions.js the first time it is needed
+const getSystemRole = (name) => cached(`system:${name}`, async () => {
+  const defaults = SYSTEM_ROLES[name];
+  if (!defaults) return null;
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name, description: defaults.description, permissions: defaults.permissions, isSystem: true } },
+    { upsert: true, new: true }
+  );
+  return role.toObject();
+});
+
+const getCustomRole = (id) => cached(`id:${id}`, async () => {
+  const role = await Role.findById(id);
+  return role ? role.toObject() : null;
+});
+
+// Effective permissions for a user document: its custom role when set, otherwise
+// the system role for user.role. Returns { role, permissions, department }, where
+// department is set only when the role is department scoped.
+const resolvePermissions = async (user) => {
+  if (!user) return { role: null, permissions: [], department: null };
+
+  let role = user.customRole ? await getCustomRole(user.customRole) : null;
+  if (!role) role = await getSystemRole(user.role);
+  if (!role) return { role: null, permissions: [], department: null };
+
+  // The admin system role always keeps every permission so admins can't lock themselves out
+  const permissions = role.isSystem && role.name === 'admin' ? ['*'] : role.permissions;
+
+  return {
+    role: role.name,
+    permissions,
+    department: role.departmentScoped ? user.department || '' : null,
+  };
+};
+
+// Whether req's user may act on something owned by `ownerId` given an "-any" permission.
+// Owners always pass; department-scoped roles only reach owners in their own department.
+const canActOn = async (req, anyPermission, ownerId) => {
+  if (ownerId && ownerId.toString() === req.user.id) return true;
+  if (!hasPermission(req.permissions, anyPermission)) return false;
+  if (req.permissionScope && req.permissionScope.department !== null) {
+    const owner = ownerId ? await User.findById(ownerId).select('department') : null;
+    return !!owner && !!owner.department && owner.department === req.permissionScope.department;
+  }
+  return true;
+};
+
+// Whether req's user may manage `user`'s account with `permission`: as for canActOn,
+// and never an account holding a permission req's user lacks (changing its email or
+// ID number would let them take it over)
+const canManageUser = async (req, user, permission = 'user:manage') => {
+  if (!(await canActOn(req, permission, user._id))) return false;
+  const { permissions } = await resolvePermissions(user);
+  return permissions.every((granted) => hasPermission(req.permissions, granted));
+};
+
+module.exports = { resolvePermissions, canActOn, canManageUser, clearRoleCache };
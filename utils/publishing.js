@@ -0,0 +1,49 @@
+// Draft, scheduled and time-limited content (see models/publishable.js)
+
+const PUBLISH_STATUSES = ['draft', 'published'];
+
+// Query filter for content students can see right now: not a draft, past its
+// publishAt and before its availableUntil. Missing fields count as "no limit".
+const releasedFilter = (now = new Date()) => ({
+  $and: [
+    { status: { $ne: 'draft' } },
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }] },
+  ],
+});
+
+// Read status, publishAt and availableUntil from a create or update body. `current`
+// is the document being updated, so the window can be checked against the fields
+// that are not being changed. Returns { values } or { error }.
+const readPublishingInput = (body, current = {}) => {
+  const values = {};
+  if (body.status !== undefined) {
+    if (!PUBLISH_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${PUBLISH_STATUSES.join(', ')}` };
+    }
+    values.status = body.status;
+  }
+  for (const key of ['publishAt', 'availableUntil']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '' || body[key] === 'null') {
+      values[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    values[key] = date;
+  }
+
+  const publishAt = 'publishAt' in values ? values.publishAt : current.publishAt;
+  const availableUntil = 'availableUntil' in values ? values.availableUntil : current.availableUntil;
+  if (publishAt && availableUntil && availableUntil <= publishAt) {
+    return { error: 'availableUntil must be after publishAt' };
+  }
+  return { values };
+};
+
+module.exports = {
+  PUBLISH_STATUSES,
+  releasedFilter,
+  readPublishingInput,
+};
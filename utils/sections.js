@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Section = require('../models/Section');
+const SectionJoinCode = require('../models/SectionJoinCode');
+const Lesson = require('../models/Lesson');
+const Module = require('../models/Module');
+const Assignment = require('../models/Assignment');
+const { canActOn } = require('./permissions');
+const { releasedFilter } = require('./publishing');
+
+// Models whose documents can be assigned to sections through a `sections` array
+const SECTIONED_MODELS = [Lesson, Module, Assignment];
+
+// Active sections a student is enrolled in
+const enrolledSectionIds = (studentId) => Section.find({ students: studentId, archivedAt: null }).distinct('_id');
+
+// Content with no sections is open to everyone; otherwise only to its sections
+const audienceFilter = (sectionIds) => ({
+  $or: [{ 'sections.0': { $exists: false } }, { sections: { $in: sectionIds } }],
+});
+
+// Query filters for the lessons, modules, assignments and activities a student can
+// see. A lesson in a hidden module is hidden too, and so is an assignment or activity
+// attached to a hidden lesson. Modules, lessons and assignments must also be released
+// (published and inside their availability window).
+const visibilityForStudent = async (studentId) => {
+  const sectionIds = await enrolledSectionIds(studentId);
+  const modules = { $and: [audienceFilter(sectionIds), releasedFilter()] };
+
+  const hiddenModuleIds = await Module.find({ $nor: [modules] }).distinct('_id');
+  const lessons = { $and: [audienceFilter(sectionIds), { module: { $nin: hiddenModuleIds } }, releasedFilter()] };
+
+  const hiddenLessonIds = await Lesson.find({ $nor: [lessons] }).distinct('_id');
+  const assignments = { $and: [audienceFilter(sectionIds), { lesson: { $nin: hiddenLessonIds } }, releasedFilter()] };
+  const activities = { lesson: { $nin: hiddenLessonIds } };
+
+  return { sectionIds, modules, lessons, assignments, activities };
+};
+
+// Visibility filters for req's user, or null when they see everything. Students get
+// visibilityForStudent; other users see released content plus their own drafts and
+// scheduled content, and content:manage-any holders see everything.
+const contentVisibility = async (req) => {
+  if (req.user.role === 'student') return visibilityForStudent(req.user.id);
+  if (req.can('content:manage-any')) return null;
+
+  const releasedOrOwn = { $or: [releasedFilter(), { createdBy: req.user.id }] };
+  return { sectionIds: [], modules: releasedOrOwn, lessons: releasedOrOwn, assignments: releasedOrOwn, activities: {} };
+};
+
+// Active sections req's user belongs to: the ones a student is enrolled in, or the
+// ones anyone else teaches
+const mySectionIds = (req) => (req.user.role === 'student'
+  ? enrolledSectionIds(req.user.id)
+  : Section.find({ archivedAt: null, $or: [{ teacher: req.user.id }, { coTeachers: req.user.id }] }).distinct('_id'));
+
+// Query filters for content assigned to req's user's own classes ("my classes").
+// Lessons also match through their module, and assignments through their lesson.
+const myClassesFilters = async (req) => {
+  const sectionIds = await mySectionIds(req);
+  const modules = { sections: { $in: sectionIds } };
+
+  const moduleIds = await Module.find(modules).distinct('_id');
+  const lessons = { $or: [{ sections: { $in: sectionIds } }, { module: { $in: moduleIds } }] };
+
+  const lessonIds = await Lesson.find(lessons).distinct('_id');
+  const assignments = { $or: [{ sections: { $in: sectionIds } }, { lesson: { $in: lessonIds } }] };
+
+  return { sectionIds, modules, lessons, assignments };
+};
+
+// Whether req's user can manage a section: its staff with section:manage, or
+// anyone with section:manage-any (department-scoped roles only within their department)
+const canManageSection = async (req, section) => {
+  if (section.isStaff(req.user.id)) return req.can('section:manage');
+  return canActOn(req, 'section:manage-any', section.teacher && section.teacher._id ? section.teacher._id : section.teacher);
+};
+
+// Accepts an array, a JSON array string (multipart forms) or a comma separated string
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch (err) {
+      return null;
+    }
+  }
+  return text.split(',').map((id) => id.trim()).filter(Boolean);
+};
+
+// Section ids for content from a request body field. Every section must exist and be
+// managed by req's user. Returns { sectionIds } or { error }.
+const resolveSectionInput = async (req, value) => {
+  const ids = parseIdList(value);
+  if (ids === null || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'sections must be a list of section ids' };
+  }
+
+  const unique = [...new Set(ids)];
+  const sections = await Section.find({ _id: { $in: unique } });
+  if (sections.length !== unique.length) {
+    return { error: 'One or more sections were not found' };
+  }
+  for (const section of sections) {
+    if (!(await canManageSection(req, section))) {
+      return { error: `You cannot assign content to section "${section.name}"` };
+    }
+  }
+  return { sectionIds: sections.map((s) => s._id) };
+};
+
+// Students enrolled in any of the given sections
+const sectionStudentIds = (sectionIds) => Section.find({ _id: { $in: sectionIds } }).distinct('students');
+
+// Delete sections with their join codes and unassign them from content. Content that
+// was only assigned to these sections would be left with no sections, which opens it
+// to every student, so it is set back to draft first.
+const deleteSections = async (sectionIds) => {
+  if (!sectionIds.length) return 0;
+  for (const Model of SECTIONED_MODELS) {
+    await Model.updateMany(
+      { sections: { $in: sectionIds, $not: { $elemMatch: { $nin: sectionIds } } } },
+      { status: 'draft' }
+    );
+    await Model.updateMany({ sections: { $in: sectionIds } }, { $pull: { sections: { $in: sectionIds } } });
+  }
+  await SectionJoinCode.deleteMany({ section: { $in: sectionIds } });
+  const result = await Section.deleteMany({ _id: { $in: sectionIds } });
+  return result.deletedCount;
+};
+
+module.exports = {
+  audienceFilter,
+  visibilityForStudent,
+  contentVisibility,
+  myClassesFilters,
+  canManageSection,
+  parseIdList,
+  resolveSectionInput,
+  sectionStudentIds,
+  deleteSections,
+};
@@ -0,0 +1,31 @@
+const transporter = require('../config/mail');
+
+// Send a single email through the configured transporter.
+// Falls back to the same default sender address used by the admin email route.
+const sendEmail = async ({ to, subject, text, html }) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@ttls.local',
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  return transporter.sendMail(mailOptions);
+};
+
+// Build a link to a page on the frontend (e.g. the reset password form) from
+// CLIENT_URL. Never from the request's Host header: a client can forge it and have
+// a reset link with a real token point at another site.
+const buildClientUrl = (pathname) => {
+  if (!process.env.CLIENT_URL) throw new Error('CLIENT_URL is not set');
+  return `${process.env.CLIENT_URL.replace(/\/+$/, '')}${pathname}`;
+};
+
+// Build a link to this API (e.g. a download link) from SERVER_URL, for the same reason
+const buildServerUrl = (pathname) => {
+  if (!process.env.SERVER_URL) throw new Error('SERVER_URL is not set');
+  return `${process.env.SERVER_URL.replace(/\/+$/, '')}${pathname}`;
+};
+
+module.exports = { sendEmail, buildClientUrl, buildServerUrl };
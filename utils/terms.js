@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Term = require('../models/Term');
+const Lesson = require('../models/Lesson');
+const Module = require('../models/Module');
+const Assignment = require('../models/Assignment');
+const Activity = require('../models/Activity');
+const Submission = require('../models/Submission');
+const Section = require('../models/Section');
+
+// Everything stamped with a term by models/termScoped.js
+const TERM_SCOPED_MODELS = {
+  lessons: Lesson,
+  modules: Module,
+  assignments: Assignment,
+  activities: Activity,
+  submissions: Submission,
+  sections: Section,
+};
+
+const TERM_CLOSED_MESSAGE = 'This term is closed. Its data is read-only.';
+
+const closedTermIds = () => Term.find({ status: 'closed' }).distinct('_id');
+
+// Whether `doc` belongs to a closed term
+const isTermClosed = async (doc) => Boolean(doc && doc.term && (await Term.exists({ _id: doc.term, status: 'closed' })));
+
+// Respond 403 when `doc` belongs to a closed term. Returns true when it did, so
+// routes can `if (await rejectIfTermClosed(res, doc)) return;`
+const rejectIfTermClosed = async (res, doc) => {
+  if (!(await isTermClosed(doc))) return false;
+  res.status(403).json({ success: false, message: TERM_CLOSED_MESSAGE });
+  return true;
+};
+
+// Query filter for list and stats endpoints from ?term=:
+//   <id>    - that term only
+//   active  - the active term only
+//   all     - every term
+//   (unset) - everything except closed terms, including data from before terms existed
+// Returns { filter } or { error }.
+const termFilter = async (value) => {
+  if (value === 'all') return { filter: {} };
+  if (value === 'active') {
+    const active = await Term.findOne({ status: 'active' }).select('_id');
+    // Nothing matches when no term is active
+    return { filter: { term: active ? active._id : { $in: [] } } };
+  }
+  if (value) {
+    if (!mongoose.Types.ObjectId.isValid(value)) return { error: 'Invalid term id' };
+    return { filter: { term: value } };
+  }
+  return { filter: { term: { $nin: await closedTermIds() } } };
+};
+
+// Make `term` the active term. With claimUnassigned, data not stamped with any term
+// yet (created before terms were used) is stamped with this one.
+// Returns { term, claimed } or { error }.
+const activateTerm = async (term, actorId, { claimUnassigned = false } = {}) => {
+  if (term.status === 'closed') return { error: 'A closed term cannot be reopened' };
+  if (term.status === 'active') return { error: 'This term is already active' };
+  if (await Term.exists({ status: 'active' })) {
+    return { error: 'Close the active term before opening another one' };
+  }
+
+  term.status = 'active';
+  term.activatedAt = new Date();
+  term.activatedBy = actorId;
+  await term.save();
+
+  let claimed = null;
+  if (claimUnassigned) {
+    claimed = {};
+    for (const [key, Model] of Object.entries(TERM_SCOPED_MODELS)) {
+      claimed[key] = (await Model.updateMany({ term: null }, { term: term._id })).modifiedCount;
+    }
+  }
+  return { term, claimed };
+};
+
+// Close a term: its data becomes read-only and its sections are archived
+const closeTerm = async (term, actorId) => {
+  term.status = 'closed';
+  term.closedAt = new Date();
+  term.closedBy = actorId;
+  await term.save();
+
+  const archived = await Section.updateMany({ term: term._id, archivedAt: null }, { archivedAt: term.closedAt });
+  return { term, archivedSections: archived.modifiedCount };
+};
+
+module.exports = {
+  TERM_SCOPED_MODELS,
+  TERM_CLOSED_MESSAGE,
+  closedTermIds,
+  isTermClosed,
+  rejectIfTermClosed,
+  termFilter,
+  activateTerm,
+  closeTerm,
+};
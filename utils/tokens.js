@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (id, role, sessionId) => {
+  return jwt.sign({ id, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Access token for an admin acting as `target`. It is bound to the admin's own session
+// (sid) and to the Impersonation record (imp); protect() checks both on every request.
+const generateImpersonationToken = (impersonation, target) => {
+  const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign(
+    {
+      id: target._id,
+      role: target.role,
+      sid: impersonation.session,
+      imp: impersonation._id,
+      act: impersonation.admin,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Short-lived token proving the password step of a login succeeded.
+// purpose is '2fa-login' (enter a code) or '2fa-setup' (enrollment is required first).
+// It has no session id, so protect() never accepts it as an access token.
+const generateTwoFactorToken = (user, purpose) => {
+  return jwt.sign({ id: user._id, role: user.role, purpose }, process.env.JWT_SECRET, {
+    expiresIn: purpose === '2fa-setup' ? '15m' : '5m',
+  });
+};
+
+// Returns the decoded payload, or null if the token is invalid, expired or for another purpose
+const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a new session for the user and return an access/refresh token pair
+const issueTokens = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+  });
+
+  return {
+    token: generateAccessToken(user._id, user.role, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+// Exchange a refresh token for a new pair. The old refresh token stops working.
+// Presenting an already-rotated token revokes all of the user's sessions, since
+// it means the token was copied.
+// Returns { error } or { session, user, token, refreshToken }.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      await Session.revokeAllForUser(reused.user, 'refresh-token-reuse');
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (!session.isActive()) {
+    return { error: 'Session has expired or was revoked. Please log in again.' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.status !== 'approved') {
+    session.revokedAt = new Date();
+    session.revokedReason = 'user-unavailable';
+    await session.save();
+    return { error: 'Account is not active' };
+  }
+
+  // Match on the old hash as well so two concurrent refreshes can't both succeed
+  const nextRefreshToken = newRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -20 } },
+    }
+  );
+
+  if (!rotated) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  return {
+    session,
+    user,
+    token: generateAccessToken(user._id, user.role, session._id),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+module.exports = {
+  generateAccessToken,
+  generateImpersonationToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueTokens,
+  rotateRefreshToken,
+  hashToken,
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Lesson = require('../models/Lesson');
+const LessonView = require('../models/LessonView');
+const LessonRevision = require('../models/LessonRevision');
+const Module = require('../models/Module');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Activity = require('../models/Activity');
+const Folder = require('../models/Folder');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Progress = require('../models/Progress');
+const Report = require('../models/Report');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const DataExport = require('../models/DataExport');
+const GuardianLink = require('../models/GuardianLink');
+const GuardianCode = require('../models/GuardianCode');
+const Section = require('../models/Section');
+const { deleteSections } = require('./sections');
+const { revisionOnlyFiles } = require('./lessonRevisions');
+const { cloudinary, hasCloudinary } = require('../config/cloudinary');
+
+// How an admin can remove an account:
+//   deactivate - block sign-in, keep everything (reversible)
+//   anonymize  - block sign-in, keep records but scrub personal fields from the user
+//   delete     - remove the user and everything that belongs to them
+const DELETION_MODES = ['deactivate', 'anonymize', 'delete'];
+
+// Content a teacher owns through createdBy; moved by reassignTo or deleted with the owner
+const OWNED_MODELS = { lessons: Lesson, modules: Module, assignments: Assignment, activities: Activity, folders: Folder };
+
+// Check that `reassignToId` can take over content from `userId`.
+// Returns { user } or { error }.
+const resolveReassignTarget = async (userId, reassignToId) => {
+  if (!reassignToId) return { user: null };
+  if (String(reassignToId) === String(userId)) {
+    return { error: 'Cannot reassign content to the user being removed' };
+  }
+
+  const target = await User.findById(reassignToId);
+  if (!target || !['teacher', 'admin'].includes(target.role) || target.status !== 'approved') {
+    return { error: 'Content can only be reassigned to an approved teacher or admin' };
+  }
+  return { user: target };
+};
+
+const reassignOwnership = async (fromId, toId) => {
+  const counts = {};
+  for (const [key, Model] of Object.entries(OWNED_MODELS)) {
+    const result = await Model.updateMany({ createdBy: fromId }, { createdBy: toId });
+    counts[key] = result.modifiedCount;
+  }
+  counts.sections = (await Section.updateMany({ teacher: fromId }, { teacher: toId })).modifiedCount;
+  await Section.updateMany({ coTeachers: toId, teacher: toId }, { $pull: { coTeachers: toId } });
+  return counts;
+};
+
+// Best effort removal of uploaded files; a failure only leaves an orphaned asset
+const destroyFiles = async (files) => {
+  if (!hasCloudinary) return;
+  for (const file of files) {
+    if (!file || !file.public_id) continue;
+    try {
+      await cloudinary.uploader.destroy(file.public_id);
+    } catch (err) {
+      console.warn('Failed to delete file from Cloudinary', err.message || err);
+    }
+  }
+};
+
+// Export archives hold the user's full profile, submissions and messages
+const deleteDataExports = async (userId) => {
+  const dataExports = await DataExport.find({ user: userId }).select('+filePath');
+  dataExports.forEach((job) => job.filePath && fs.rm(job.filePath, { force: true }, () => {}));
+  await DataExport.deleteMany({ user: userId });
+};
+
+const deactivate = async (user, actorId) => {
+  user.status = 'deactivated';
+  user.deactivatedAt = new Date();
+  user.deactivatedBy = actorId;
+  await user.save();
+};
+
+// Replace everything that identifies the person; the document (and what references it) stays
+const anonymize = async (user, actorId) => {
+  const placeholder = `deleted-${user._id}`;
+
+  user.firstName = 'Deleted';
+  user.lastName = 'User';
+  user.idNumber = placeholder;
+  user.email = `${placeholder}@deleted.invalid`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.mustChangePassword = false;
+  user.dateOfBirth = undefined;
+  user.department = undefined;
+  user.specialization = undefined;
+  user.profilePicture = undefined;
+  user.coverPhoto = undefined;
+  user.bio = undefined;
+  user.emailVerified = false;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.oidcIssuer = undefined;
+  user.oidcSubject = undefined;
+  user.loginHistory = [];
+  user.status = 'deactivated';
+  user.deactivatedAt = new Date();
+  user.deactivatedBy = actorId;
+  user.anonymizedAt = new Date();
+  await user.save();
+
+  await ProfileChangeRequest.deleteMany({ user: user._id });
+  await GuardianLink.deleteMany({ $or: [{ guardian: user._id }, { student: user._id }] });
+  await GuardianCode.deleteMany({ student: user._id });
+  await deleteDataExports(user._id);
+};
+
+// Remove the user and every record that belongs to them
+const hardDelete = async (user) => {
+  const userId = user._id;
+  const counts = {};
+
+  // Content still owned by the user (anything not reassigned)
+  const lessons = await Lesson.find({ createdBy: userId }).select('files coverPhoto');
+  const assignments = await Assignment.find({ createdBy: userId }).select('attachments');
+  const activities = await Activity.find({ createdBy: userId }).select('files submissions');
+  await destroyFiles(lessons.flatMap((l) => l.files || []));
+  await destroyFiles(await revisionOnlyFiles(lessons));
+  await destroyFiles(assignments.flatMap((a) => a.attachments || []));
+  await destroyFiles(activities.flatMap((a) => [...(a.files || []), ...(a.submissions || []).flatMap((s) => s.files || [])]));
+
+  const assignmentIds = assignments.map((a) => a._id);
+  const lessonIds = lessons.map((l) => l._id);
+  const orphanSubmissions = await Submission.find({ assignment: { $in: assignmentIds } }).select('files');
+  await destroyFiles(orphanSubmissions.flatMap((s) => s.files || []));
+  counts.submissionsOnOwnedAssignments = (await Submission.deleteMany({ assignment: { $in: assignmentIds } })).deletedCount;
+  counts.commentsOnOwnedLessons = (await Comment.deleteMany({ lesson: { $in: lessonIds } })).deletedCount;
+  counts.viewsOfOwnedLessons = (await LessonView.deleteMany({ lesson: { $in: lessonIds } })).deletedCount;
+  counts.revisionsOfOwnedLessons = (await LessonRevision.deleteMany({ lesson: { $in: lessonIds } })).deletedCount;
+
+  for (const [key, Model] of Object.entries(OWNED_MODELS)) {
+    counts[key] = (await Model.deleteMany({ createdBy: userId })).deletedCount;
+  }
+
+  // The user's own activity
+  const submissions = await Submission.find({ student: userId }).select('files');
+  await destroyFiles(submissions.flatMap((s) => s.files || []));
+  counts.submissions = (await Submission.deleteMany({ student: userId })).deletedCount;
+
+  const activityResult = await Activity.updateMany(
+    { 'submissions.student': userId },
+    { $pull: { submissions: { student: userId } } }
+  );
+  counts.activitySubmissions = activityResult.modifiedCount;
+
+  const comments = await Comment.find({ user: userId }).select('_id');
+  const commentIds = comments.map((c) => c._id);
+  await Comment.updateMany({ replies: { $in: commentIds } }, { $pull: { replies: { $in: commentIds } } });
+  counts.comments = (await Comment.deleteMany({ _id: { $in: commentIds } })).deletedCount;
+
+  counts.messages = (await Message.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] })).deletedCount;
+  counts.lessonViews = (await LessonView.deleteMany({ student: userId })).deletedCount;
+  counts.progress = (await Progress.deleteMany({ student: userId })).deletedCount;
+  counts.reports = (await Report.deleteMany({ reporter: userId })).deletedCount;
+  await ProfileChangeRequest.deleteMany({ user: userId });
+  // Sections they still teach go (their content is unassigned, or set to draft when it
+  // had no other section); other memberships are dropped
+  counts.sections = await deleteSections(await Section.find({ teacher: userId }).distinct('_id'));
+  await Section.updateMany(
+    { $or: [{ students: userId }, { coTeachers: userId }, { 'joinRequests.student': userId }] },
+    { $pull: { students: userId, coTeachers: userId, joinRequests: { student: userId } } }
+  );
+  counts.guardianLinks = (await GuardianLink.deleteMany({ $or: [{ guardian: userId }, { student: userId }] })).deletedCount;
+  await GuardianCode.deleteMany({ student: userId });
+  await Session.deleteMany({ user: userId });
+
+  await deleteDataExports(userId);
+
+  await User.deleteOne({ _id: userId });
+  return counts;
+};
+
+// Remove a user with the chosen mode. Content they own is handed to `reassignTo`
+// (an approved teacher or admin) first when given.
+// Returns { mode, reassigned, deleted } or { error }.
+const removeUser = async (user, { mode = 'delete', reassignTo, actorId } = {}) => {
+  if (!DELETION_MODES.includes(mode)) {
+    return { error: `mode must be one of ${DELETION_MODES.join(', ')}` };
+  }
+
+  const target = await resolveReassignTarget(user._id, reassignTo);
+  if (target.error) return { error: target.error };
+
+  const reassigned = target.user ? await reassignOwnership(user._id, target.user._id) : null;
+
+  // Sign the user out everywhere before anything else changes
+  await Session.revokeAllForUser(user._id, mode === 'delete' ? 'deleted' : 'deactivated');
+
+  let deleted = null;
+  if (mode === 'deactivate') {
+    await deactivate(user, actorId);
+  } else if (mode === 'anonymize') {
+    await anonymize(user, actorId);
+  } else {
+    deleted = await hardDelete(user);
+  }
+
+  return { mode, reassigned, deleted };
+};
+
+module.exports = { DELETION_MODES, removeUser, resolveReassignTarget };
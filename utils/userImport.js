@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const validator = require('validator');
+const User = require('../models/User');
+const { parseCsv } = require('./csv');
+
+const MAX_ROWS = 2000;
+const ROLES = ['student', 'teacher', 'admin', 'guardian'];
+const REQUIRED_FIELDS = ['idNumber', 'firstName', 'lastName', 'email', 'role'];
+
+// Accepted header spellings, compared after lower-casing and removing spaces/underscores
+const HEADER_ALIASES = {
+  idnumber: 'idNumber',
+  id: 'idNumber',
+  idno: 'idNumber',
+  studentid: 'idNumber',
+  firstname: 'firstName',
+  givenname: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  familyname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  role: 'role',
+  department: 'department',
+  dept: 'department',
+};
+
+const normalizeHeader = (header) => HEADER_ALIASES[header.toLowerCase().replace(/[\s_\-.]/g, '')];
+
+// Parse a roster CSV and check every row against the file itself and existing users.
+// Returns { error } for unusable files, otherwise { rows, summary } where each row is
+// { line, data, status: 'valid' | 'invalid' | 'duplicate', errors: [] }.
+const validateRoster = async (csvText) => {
+  const records = parseCsv(csvText);
+  if (records.length < 2) {
+    return { error: 'The file must have a header row and at least one user' };
+  }
+
+  const [headerRow, ...dataRows] = records;
+  const columns = headerRow.map((h) => normalizeHeader(h.trim()));
+  const missing = REQUIRED_FIELDS.filter((f) => !columns.includes(f));
+  if (missing.length) {
+    return { error: `Missing required column(s): ${missing.join(', ')}` };
+  }
+  if (dataRows.length > MAX_ROWS) {
+    return { error: `A roster can contain at most ${MAX_ROWS} users` };
+  }
+
+  const rows = dataRows.map((values, index) => {
+    const data = {};
+    columns.forEach((field, col) => {
+      if (field) data[field] = (values[col] || '').trim();
+    });
+    if (data.email) data.email = data.email.toLowerCase();
+    if (data.role) data.role = data.role.toLowerCase();
+
+    const errors = [];
+    REQUIRED_FIELDS.forEach((field) => {
+      if (!data[field]) errors.push(`${field} is required`);
+    });
+    if (data.email && !validator.isEmail(data.email)) errors.push('email is not valid');
+    if (data.role && !ROLES.includes(data.role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+
+    // +2: one for the header row, one because spreadsheet lines start at 1
+    return { line: index + 2, data, status: 'valid', errors, duplicates: [] };
+  });
+
+  // Duplicates within the file: later rows are flagged against the first occurrence
+  const seenIds = new Map();
+  const seenEmails = new Map();
+  rows.forEach((row) => {
+    const { idNumber, email } = row.data;
+    if (idNumber) {
+      if (seenIds.has(idNumber)) row.duplicates.push(`idNumber repeats line ${seenIds.get(idNumber)}`);
+      else seenIds.set(idNumber, row.line);
+    }
+    if (email) {
+      if (seenEmails.has(email)) row.duplicates.push(`email repeats line ${seenEmails.get(email)}`);
+      else seenEmails.set(email, row.line);
+    }
+  });
+
+  // Duplicates against existing accounts
+  const existing = await User.find({
+    $or: [{ idNumber: { $in: [...seenIds.keys()] } }, { email: { $in: [...seenEmails.keys()] } }],
+  }).select('idNumber email');
+  const existingIds = new Set(existing.map((u) => u.idNumber));
+  const existingEmails = new Set(existing.map((u) => (u.email || '').toLowerCase()));
+
+  rows.forEach((row) => {
+    const { idNumber, email } = row.data;
+    if (idNumber && existingIds.has(idNumber)) row.duplicates.push('a user with this idNumber already exists');
+    if (email && existingEmails.has(email)) row.duplicates.push('a user with this email already exists');
+
+    // Bad data outranks duplication in the status; both are reported in errors
+    if (row.errors.length) row.status = 'invalid';
+    else if (row.duplicates.length) row.status = 'duplicate';
+    row.errors.push(...row.duplicates);
+    delete row.duplicates;
+  });
+
+  const summary = {
+    total: rows.length,
+    valid: rows.filter((r) => r.status === 'valid').length,
+    invalid: rows.filter((r) => r.status === 'invalid').length,
+    duplicate: rows.filter((r) => r.status === 'duplicate').length,
+  };
+
+  return { rows, summary };
+};
+
+// Random temporary password, easy to type from an email
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '').slice(0, 10);
+
+module.exports = { validateRoster, generateTemporaryPassword, MAX_ROWS };
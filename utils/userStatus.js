@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendEmail, buildClientUrl } = require('./sendEmail');
+
+// Admin status actions: which statuses each one applies to and what it sets
+const STATUS_ACTIONS = {
+  approve: { from: ['pending', 'rejected'], to: 'approved' },
+  reject: { from: ['pending'], to: 'rejected' },
+  suspend: { from: ['approved'], to: 'suspended' },
+  unsuspend: { from: ['suspended'], to: 'approved' },
+};
+
+// Actions that should sign the user out everywhere
+const REVOKES_SESSIONS = { reject: 'rejected', suspend: 'suspended' };
+
+// Apply a status action to a user document, recording it in statusHistory.
+// The update is conditional on the status the document was loaded with, so two
+// admins acting at once can't both apply a transition.
+// Suspensions also take an optional `endsAt`; unsuspending closes the open
+// suspensionHistory entry as 'lifted' (or `endReason` for automatic reinstatement).
+// Returns { changed: false, message } when the user's current status doesn't allow it.
+const changeUserStatus = async (user, action, { reason, changedBy, endsAt, endReason = 'lifted' } = {}) => {
+  const rule = STATUS_ACTIONS[action];
+  if (!rule) throw new Error(`Unknown status action: ${action}`);
+
+  const from = user.status;
+  if (!rule.from.includes(from)) {
+    return { changed: false, message: `Cannot ${action} a user whose status is ${from}` };
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { status: rule.to },
+    $push: { statusHistory: { from, to: rule.to, reason, changedBy, at: now } },
+  };
+
+  if (action === 'suspend') {
+    const suspension = { reason, endsAt: endsAt || null, issuedBy: changedBy, issuedAt: now };
+    update.$set.suspension = suspension;
+    update.$push.suspensionHistory = { reason, startedAt: now, endsAt: endsAt || null, issuedBy: changedBy };
+  } else if (action === 'unsuspend') {
+    update.$unset = { suspension: 1 };
+  }
+
+  const result = await User.updateOne({ _id: user._id, status: from }, update);
+  if (!result.modifiedCount) {
+    return { changed: false, message: 'User status was changed by someone else' };
+  }
+  user.status = rule.to;
+  user.suspension = update.$set.suspension;
+
+  if (action === 'unsuspend') {
+    // Close the open history entry (absent for suspensions made before history was kept)
+    await User.updateOne(
+      { _id: user._id, suspensionHistory: { $elemMatch: { endedAt: null } } },
+      {
+        $set: {
+          'suspensionHistory.$.endedAt': now,
+          'suspensionHistory.$.endedBy': changedBy,
+          'suspensionHistory.$.endReason': endReason,
+        },
+      }
+    );
+  }
+
+  if (REVOKES_SESSIONS[action]) {
+    await Session.revokeAllForUser(user._id, REVOKES_SESSIONS[action]);
+  }
+
+  return { changed: true, from, to: rule.to };
+};
+
+const EMAIL_COPY = {
+  approve: {
+    subject: 'Your TTLS account has been approved',
+    body: 'Your account has been approved. You can now log in.',
+  },
+  reject: {
+    subject: 'Your TTLS registration was not approved',
+    body: 'Your registration was not approved. Please contact an administrator if you think this is a mistake.',
+  },
+  suspend: {
+    subject: 'Your TTLS account has been suspended',
+    body: 'Your account has been suspended. Please contact an administrator for more information.',
+  },
+  expire: {
+    subject: 'Your TTLS account has been reinstated',
+    body: 'Your suspension has ended and your account has been reinstated. You can log in again.',
+  },
+  unsuspend: {
+    subject: 'Your TTLS account has been reinstated',
+    body: 'Your account has been reinstated. You can log in again.',
+  },
+};
+
+// Tell the user about a status change
+const sendStatusEmail = (user, action, reason) => {
+  const copy = EMAIL_COPY[action];
+  const loginUrl = buildClientUrl('/login');
+  const until = action === 'suspend' && user.suspension && user.suspension.endsAt
+    ? ` It will be lifted automatically on ${user.suspension.endsAt.toUTCString()}.`
+    : '';
+  const reasonText = `${until}${reason ? `\n\nReason: ${reason}` : ''}`;
+  const reasonHtml = `${until ? `<p>${until.trim()}</p>` : ''}${reason ? `<p>Reason: ${reason}</p>` : ''}`;
+  const showLogin = ['approve', 'unsuspend', 'expire'].includes(action);
+
+  return sendEmail({
+    to: user.email,
+    subject: copy.subject,
+    text: `Hello ${user.firstName},\n\n${copy.body}${reasonText}${showLogin ? `\n\n${loginUrl}` : ''}`,
+    html: `<p>Hello ${user.firstName},</p><p>${copy.body}</p>${reasonHtml}${showLogin ? `<p><a href="${loginUrl}">${loginUrl}</a></p>` : ''}`,
+  });
+};
+
+// Message and details returned to a suspended user by login and protect
+const suspensionResponse = (user) => {
+  const { reason, endsAt } = user.suspension || {};
+  let message = 'Your account has been suspended';
+  if (endsAt) message += ` until ${endsAt.toISOString()}`;
+  message += reason ? `. Reason: ${reason}` : '. Please contact admin.';
+
+  return {
+    success: false,
+    message,
+    suspension: { reason: reason || null, endsAt: endsAt || null },
+  };
+};
+
+// Reinstate a suspended user whose suspension has run out.
+// Returns true when the user is (now) no longer suspended.
+const reinstateIfExpired = async (user) => {
+  if (user.status !== 'suspended' || !user.suspension || !user.suspension.endsAt) return false;
+  if (user.suspension.endsAt > new Date()) return false;
+
+  const outcome = await changeUserStatus(user, 'unsuspend', { reason: 'Suspension period ended', endReason: 'expired' });
+  if (outcome.changed) {
+    sendStatusEmail(user, 'expire').catch((err) => console.error('Failed to send reinstatement email:', err));
+  }
+  return user.status !== 'suspended';
+};
+
+// Reinstate every user whose suspension end date has passed (run periodically from server.js)
+const reinstateExpiredSuspensions = async () => {
+  const users = await User.find({ status: 'suspended', 'suspension.endsAt': { $lte: new Date() } });
+  let count = 0;
+  for (const user of users) {
+    if (await reinstateIfExpired(user)) count++;
+  }
+  return count;
+};
+
+module.exports = {
+  STATUS_ACTIONS,
+  changeUserStatus,
+  sendStatusEmail,
+  suspensionResponse,
+  reinstateIfExpired,
+  reinstateExpiredSuspensions,
+};